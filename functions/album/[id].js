@@ -0,0 +1,7 @@
+/**
+ * GET /album/:id  相册页面（album.html），页面通过 /api/album/:id 读取相册内容
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    return env.ASSETS.fetch(new URL('/album', request.url));
+}
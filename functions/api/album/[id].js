@@ -0,0 +1,62 @@
+import {
+    albumCookieName, checkAlbumPassword, createAlbumAccess, getAlbum, getAlbumFiles, verifyAlbumAccess,
+} from '../../utils/albums';
+import { getCookie } from '../../utils/auth';
+import { jsonResponse } from '../../utils/http';
+
+/**
+ * GET /api/album/:id  相册页面使用的公开接口，返回相册名称和可以公开访问的文件
+ * 设置了密码的相册需要先通过 POST 提交密码，验证通过后写入 Cookie
+ */
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+
+    const album = env.img_url ? await getAlbum(env, params.id) : null;
+    if (!album) {
+        return jsonResponse({ error: 'Album not found' }, 404);
+    }
+    if (!await verifyAlbumAccess(env, album, getCookie(request, albumCookieName(album)))) {
+        return jsonResponse({ error: 'Password required', name: album.name, protected: true }, 401, { 'Cache-Control': 'no-store' });
+    }
+    return galleryResponse(env, album);
+}
+
+/**
+ * POST /api/album/:id  提交相册密码
+ * 请求体：{ "password": "..." }
+ */
+export async function onRequestPost(context) {
+    const { request, env, params } = context;
+
+    const album = env.img_url ? await getAlbum(env, params.id) : null;
+    if (!album) {
+        return jsonResponse({ error: 'Album not found' }, 404);
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+    if (!album.password) {
+        return galleryResponse(env, album);
+    }
+    if (!await checkAlbumPassword(album, body && body.password)) {
+        return jsonResponse({ error: 'Wrong password', name: album.name, protected: true }, 401, { 'Cache-Control': 'no-store' });
+    }
+
+    const { value, maxAge } = await createAlbumAccess(env, album);
+    return galleryResponse(env, album, {
+        'Set-Cookie': `${albumCookieName(album)}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`,
+    });
+}
+
+async function galleryResponse(env, album, headers = {}) {
+    // 黑名单、待审核、NSFW 和私有文件无法公开访问，不在相册页面中展示
+    const files = (await getAlbumFiles(env, album))
+        .filter(({ metadata }) => metadata.ListType !== "Block" && metadata.ListType !== "Pending" && metadata.Label !== "adult" && !metadata.private)
+        .map(({ name, metadata }) => ({ name, fileName: metadata.fileName, fileType: metadata.fileType }));
+
+    return jsonResponse({ id: album.id, name: album.name, files }, 200, { 'Cache-Control': 'no-store', ...headers });
+}
@@ -1,3 +1,6 @@
+import { authorizeApiKey, getRequestApiKey } from '../../utils/apikeys';
+import { getRequestToken, verifySession } from '../../utils/auth';
+
 async function errorHandling(context) {
     try {
       return await context.next();
@@ -6,38 +9,6 @@ async function errorHandling(context) {
     }
   }
 
-  function basicAuthentication(request) {
-    const Authorization = request.headers.get('Authorization');
-  
-    const [scheme, encoded] = Authorization.split(' ');
-  
-    // The Authorization header must start with Basic, followed by a space.
-    if (!encoded || scheme !== 'Basic') {
-      throw new BadRequestException('Malformed authorization header.');
-    }
-  
-    // Decodes the base64 value and performs unicode normalization.
-    // @see https://datatracker.ietf.org/doc/html/rfc7613#section-3.3.2 (and #section-4.2.2)
-    // @see https://dev.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/String/normalize
-    const buffer = Uint8Array.from(atob(encoded), character => character.charCodeAt(0));
-    const decoded = new TextDecoder().decode(buffer).normalize();
-  
-    // The username & password are split by the first colon.
-    //=> example: "username:password"
-    const index = decoded.indexOf(':');
-  
-    // The user & password are split by the first colon and MUST NOT contain control characters.
-    // @see https://tools.ietf.org/html/rfc5234#appendix-B.1 (=> "CTL = %x00-1F / %x7F")
-    if (index === -1 || /[\0-\x1F\x7F]/.test(decoded)) {
-      throw new BadRequestException('Invalid authorization value.');
-    }
-  
-    return {
-      user: decoded.substring(0, index),
-      pass: decoded.substring(index + 1),
-    };
-  }
-  
   function UnauthorizedException(reason) {
     return new Response(reason, {
         status: 401,
@@ -51,23 +22,9 @@ async function errorHandling(context) {
         },
       });
   }
-  
-  function BadRequestException(reason) {
-    return new Response(reason, {
-        status: 400,
-        statusText: 'Bad Request',
-        headers: {
-          'Content-Type': 'text/plain;charset=UTF-8',
-          // Disables caching by default.
-          'Cache-Control': 'no-store',
-          // Returns the "Content-Length" header for HTTP HEAD requests.
-          'Content-Length': reason.length,
-        },
-      });
-  }
-  
-  
-  function authentication(context) {
+
+
+  async function authentication(context) {
     //context.env.BASIC_USER="admin"
     //context.env.BASIC_PASS="admin"
     //check if the env variables Disable_Dashboard are set
@@ -75,32 +32,42 @@ async function errorHandling(context) {
         return new Response('Dashboard is disabled. Please bind a KV namespace to use this feature.', { status: 200 });
     }
 
-    console.log(context.env.BASIC_USER)
     if(typeof context.env.BASIC_USER == "undefined" || context.env.BASIC_USER == null || context.env.BASIC_USER == ""){
         return context.next();
-    }else{
-        if (context.request.headers.has('Authorization')) {
-            // Throws exception when authorization fails.
-            const { user, pass } = basicAuthentication(context.request);
-            
-                          
-                if (context.env.BASIC_USER !== user || context.env.BASIC_PASS !== pass) {
-                    return UnauthorizedException('Invalid credentials.');
-                }else{
-                    return context.next();
-                }
-            
-        } else {
-            return new Response('You need to login.', {
-                status: 401,
-                headers: {
-                // Prompts the user for credentials.
-                'WWW-Authenticate': 'Basic realm="my scope", charset="UTF-8"',
-                },
-            });
+    }
+
+    // The login endpoint checks the credentials itself and issues the session,
+    // logout must work even when the session has already expired
+    const { pathname } = new URL(context.request.url);
+    if (pathname === '/api/manage/login' || pathname === '/api/manage/logout') {
+        return context.next();
+    }
+
+    // Credentials are only accepted by the login endpoint, every other call needs a session
+    // (cookie or "Authorization: Bearer <token>") so logging out really ends the access
+    const session = await verifySession(context.env, getRequestToken(context.request));
+    if (session) {
+        context.data.session = session;
+        return context.next();
+    }
+
+    // Programmatic clients authenticate with a scoped API key instead
+    const apiKey = getRequestApiKey(context.request);
+    if (apiKey) {
+        // API keys are managed by admins only, a key cannot mint or revoke keys
+        if (pathname.startsWith('/api/manage/apikeys')) {
+            return new Response('API keys cannot manage API keys.', { status: 403 });
         }
-    }  
-    
+        const isListing = pathname === '/api/manage/list' || pathname === '/api/manage/check' || pathname === '/api/manage/stats';
+        const result = await authorizeApiKey(context.env, apiKey, isListing ? ['list', 'manage'] : 'manage');
+        if (result.error) {
+            return new Response(result.error, { status: result.status, headers: { 'Cache-Control': 'no-store' } });
+        }
+        context.data.apiKey = result.key;
+        return context.next();
+    }
+
+    return UnauthorizedException('You need to login.');
   }
-  
-  export const onRequest = [errorHandling, authentication];
\ No newline at end of file
+
+  export const onRequest = [errorHandling, authentication];
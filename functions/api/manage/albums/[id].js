@@ -0,0 +1,56 @@
+import { MAX_NAME_LENGTH, deleteAlbum, getAlbum, getAlbumFiles, publicAlbum, updateAlbum } from '../../../utils/albums';
+import { jsonResponse } from '../../../utils/http';
+
+/**
+ * GET /api/manage/albums/:id  相册详情，files 为文件及其元数据（已删除的文件不包含在内）
+ */
+export async function onRequestGet(context) {
+    const { env, params } = context;
+
+    const album = await getAlbum(env, params.id);
+    if (!album) {
+        return jsonResponse({ error: 'Album not found' }, 404);
+    }
+    return jsonResponse({ ...publicAlbum(album), files: await getAlbumFiles(env, album) });
+}
+
+/**
+ * PATCH /api/manage/albums/:id  重命名或修改密码
+ * 请求体：{ "name": "新名称", "password": "新密码" }，均为可选，password 为 null 或空字符串时取消密码
+ */
+export async function onRequestPatch(context) {
+    const { request, env, params } = context;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { name, password } = body || {};
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH)) {
+        return jsonResponse({ error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` }, 400);
+    }
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+        return jsonResponse({ error: 'password must be a string or null' }, 400);
+    }
+
+    const album = await updateAlbum(env, params.id, { name: name && name.trim(), password });
+    if (!album) {
+        return jsonResponse({ error: 'Album not found' }, 404);
+    }
+    return jsonResponse(publicAlbum(album));
+}
+
+/**
+ * DELETE /api/manage/albums/:id  删除相册，相册中的文件不会被删除
+ */
+export async function onRequestDelete(context) {
+    const { env, params } = context;
+
+    if (!await deleteAlbum(env, params.id)) {
+        return jsonResponse({ error: 'Album not found' }, 404);
+    }
+    return jsonResponse({ success: true });
+}
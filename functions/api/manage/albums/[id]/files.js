@@ -0,0 +1,59 @@
+import { addAlbumFiles, publicAlbum, removeAlbumFiles } from '../../../../utils/albums';
+import { jsonResponse } from '../../../../utils/http';
+
+const MAX_IDS = 500;
+
+async function readIds(request) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return { error: 'Invalid JSON body' };
+    }
+    const ids = body && body.ids;
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+        return { error: 'ids must be a non-empty array of strings' };
+    }
+    if (ids.length > MAX_IDS) {
+        return { error: `At most ${MAX_IDS} ids per request` };
+    }
+    return { ids };
+}
+
+/**
+ * POST /api/manage/albums/:id/files  添加文件
+ * 请求体：{ "ids": ["xxx.jpg", ...] }，不存在的文件不会被添加，并在 missing 中返回
+ */
+export async function onRequestPost(context) {
+    const { request, env, params } = context;
+
+    const { ids, error } = await readIds(request);
+    if (error) {
+        return jsonResponse({ error }, 400);
+    }
+
+    const result = await addAlbumFiles(env, params.id, ids);
+    if (!result) {
+        return jsonResponse({ error: 'Album not found' }, 404);
+    }
+    return jsonResponse({ ...publicAlbum(result.album), missing: result.missing });
+}
+
+/**
+ * DELETE /api/manage/albums/:id/files  移出文件，文件本身不会被删除
+ * 请求体：{ "ids": ["xxx.jpg", ...] }
+ */
+export async function onRequestDelete(context) {
+    const { request, env, params } = context;
+
+    const { ids, error } = await readIds(request);
+    if (error) {
+        return jsonResponse({ error }, 400);
+    }
+
+    const album = await removeAlbumFiles(env, params.id, ids);
+    if (!album) {
+        return jsonResponse({ error: 'Album not found' }, 404);
+    }
+    return jsonResponse(publicAlbum(album));
+}
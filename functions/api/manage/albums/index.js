@@ -0,0 +1,44 @@
+import { MAX_NAME_LENGTH, addAlbumFiles, createAlbum, listAlbums, publicAlbum } from '../../../utils/albums';
+import { jsonResponse } from '../../../utils/http';
+
+/**
+ * GET  /api/manage/albums  列出所有相册
+ */
+export async function onRequestGet(context) {
+    const { env } = context;
+    return jsonResponse({ albums: await listAlbums(env) });
+}
+
+/**
+ * POST /api/manage/albums  创建相册
+ * 请求体：{ "name": "设计稿", "password": "可选", "files": ["xxx.jpg", ...] }
+ * 设置 password 后访问相册页面需要输入密码
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { name, password, files = [] } = body || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        return jsonResponse({ error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` }, 400);
+    }
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+        return jsonResponse({ error: 'password must be a string' }, 400);
+    }
+    if (!Array.isArray(files) || !files.every(id => typeof id === 'string')) {
+        return jsonResponse({ error: 'files must be an array of strings' }, 400);
+    }
+
+    const album = await createAlbum(env, { name: name.trim(), password });
+    if (files.length === 0) {
+        return jsonResponse(publicAlbum(album), 201);
+    }
+    const result = await addAlbumFiles(env, album.id, files);
+    return jsonResponse({ ...publicAlbum(result.album), missing: result.missing }, 201);
+}
@@ -0,0 +1,14 @@
+import { revokeApiKey } from '../../../utils/apikeys';
+import { jsonResponse } from '../../../utils/http';
+
+/**
+ * DELETE /api/manage/apikeys/:id  吊销 API Key
+ */
+export async function onRequestDelete(context) {
+    const { params, env } = context;
+
+    if (!await revokeApiKey(env, params.id)) {
+        return jsonResponse({ error: `API key not found: ${params.id}` }, 404);
+    }
+    return jsonResponse({ success: true, id: params.id });
+}
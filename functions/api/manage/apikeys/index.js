@@ -0,0 +1,41 @@
+import { SCOPES, createApiKey, listApiKeys } from '../../../utils/apikeys';
+import { jsonResponse } from '../../../utils/http';
+
+/**
+ * GET  /api/manage/apikeys  列出所有 API Key（不包含密钥本身）
+ */
+export async function onRequestGet(context) {
+    const { env } = context;
+    return jsonResponse(await listApiKeys(env));
+}
+
+/**
+ * POST /api/manage/apikeys  创建 API Key
+ * 请求体：{ "name": "CI", "scopes": ["upload"], "quota": 1000, "expiresIn": 2592000 }
+ * quota 为可授权的最大请求次数，expiresIn 为有效期（秒），均为可选
+ * 返回的 key 只会出现这一次，请妥善保存
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { name, scopes, quota, expiresIn } = body || {};
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+        return jsonResponse({ error: `scopes must be a non-empty array of: ${SCOPES.join(', ')}` }, 400);
+    }
+    if (quota !== undefined && quota !== null && !(Number.isInteger(quota) && quota > 0)) {
+        return jsonResponse({ error: 'quota must be a positive integer' }, 400);
+    }
+    if (expiresIn !== undefined && expiresIn !== null && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+        return jsonResponse({ error: 'expiresIn must be a positive number of seconds' }, 400);
+    }
+
+    const apiKey = await createApiKey(env, { name, scopes, quota, expiresIn });
+    return jsonResponse(apiKey, 201, { 'Cache-Control': 'no-store' });
+}
@@ -0,0 +1,29 @@
+import { getBotHealth } from '../../utils/bots';
+import { jsonResponse } from '../../utils/http';
+import { callTelegram } from '../../utils/telegram';
+
+/**
+ * GET /api/manage/bots  Bot 池的状态，不包含 token
+ * 返回 { bots: [{ id, chatId, default, healthy, cooldownUntil, failures, lastStatus, lastError, lastFailureAt, recoveredAt }] }
+ * healthy 为 false 表示该 Bot 因限流或出错正在冷却，cooldownUntil 之前的上传会优先使用其他 Bot
+ * 查询参数 check=true 时对每个 Bot 调用 getMe，附带 username 和 reachable（以及失败时的 error）
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const check = new URL(request.url).searchParams.get('check') === 'true';
+
+    const bots = await getBotHealth(env);
+    if (check) {
+        await Promise.all(bots.map(async bot => {
+            try {
+                const me = await callTelegram(env, 'getMe', {}, bot.id);
+                bot.username = me.username;
+                bot.reachable = true;
+            } catch (error) {
+                bot.reachable = false;
+                bot.error = error.message;
+            }
+        }));
+    }
+    return jsonResponse({ bots });
+}
@@ -0,0 +1,62 @@
+import { ACTIONS, applyAction } from '../../utils/manage';
+import { jsonResponse } from '../../utils/http';
+import { parseHotlinkOverride } from '../../utils/hotlink';
+
+// Every id costs a KV read and a write, keep a request well below the per-invocation limits
+const MAX_IDS = 500;
+const CONCURRENCY = 10;
+
+/**
+ * POST /api/manage/bulk
+ * 请求体：{ "ids": ["xxx.jpg", ...], "action": "block", "label": "adult" }
+ * action 可选 block / white / reset / delete / like / unlike / private / public / label / hotlink
+ * label 需要同时传入 label 字段；hotlink 需要同时传入 hotlink 字段，为 null 时恢复全局防盗链设置
+ * 返回每个文件的处理结果：{ results: [{ id, success, metadata?, error? }] }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { ids, action, label } = body || {};
+    let hotlink = null;
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+        return jsonResponse({ error: 'ids must be a non-empty array of strings' }, 400);
+    }
+    if (ids.length > MAX_IDS) {
+        return jsonResponse({ error: `At most ${MAX_IDS} ids per request` }, 400);
+    }
+    if (!(action in ACTIONS)) {
+        return jsonResponse({ error: `Unsupported action, allowed: ${Object.keys(ACTIONS).join(', ')}` }, 400);
+    }
+    if (action === 'label' && (typeof label !== 'string' || !label)) {
+        return jsonResponse({ error: 'label is required for the label action' }, 400);
+    }
+    if (action === 'hotlink' && body.hotlink !== null) {
+        const parsed = parseHotlinkOverride(body.hotlink);
+        if (parsed.error) {
+            return jsonResponse({ error: parsed.error }, 400);
+        }
+        hotlink = parsed.override;
+    }
+
+    // 分批并发处理，单个文件失败不影响其他文件
+    const results = [];
+    for (let i = 0; i < ids.length; i += CONCURRENCY) {
+        const batch = ids.slice(i, i + CONCURRENCY);
+        results.push(...await Promise.all(batch.map(async id => {
+            try {
+                return { id, ...await applyAction(env, id, action, { label, hotlink }) };
+            } catch (error) {
+                return { id, success: false, error: error.message };
+            }
+        })));
+    }
+
+    return jsonResponse({ results });
+}
@@ -0,0 +1,31 @@
+import { cleanupExpiredFiles } from '../../utils/expiry';
+import { jsonResponse } from '../../utils/http';
+import { MAX_PURGE_BATCH, purgeTrash } from '../../utils/trash';
+
+/**
+ * POST /api/manage/cleanup
+ * 彻底删除已过期或已达到最大访问次数的文件，以及在回收站中超过 TRASH_RETENTION_DAYS 天的文件：
+ * 删除 Telegram 频道中的消息，KV 记录替换为墓碑
+ * 请求体（可选）：{ "limit": 40 }，两类文件合计的数量
+ * 返回 { deleted: [{ name, messages, error? }], purged: [...], remaining }，remaining 大于 0 时可再次调用
+ * 可由 .github/workflows/cleanup.yml 定时调用
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    let body = {};
+    try {
+        body = await request.json();
+    } catch (error) {
+        // 请求体可以为空
+    }
+    const limit = Math.min(parseInt(body && body.limit, 10) || MAX_PURGE_BATCH, MAX_PURGE_BATCH);
+
+    const expired = await cleanupExpiredFiles(env, limit);
+    const trash = await purgeTrash(env, limit - expired.deleted.length);
+    return jsonResponse({
+        deleted: expired.deleted,
+        purged: trash.purged,
+        remaining: expired.remaining + trash.remaining,
+    });
+}
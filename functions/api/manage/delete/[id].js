@@ -1,17 +1,15 @@
+import { applyAction } from '../../../utils/manage';
+
+/**
+ * 删除文件：文件移入回收站，可通过 /api/manage/trash 恢复或彻底删除
+ */
 export async function onRequest(context) {
-    // Contents of context object
-    const {
-      request, // same as existing Worker API
-      env, // same as existing Worker API
-      params, // if filename includes [id] or [[path]]
-      waitUntil, // same as ctx.waitUntil in existing Worker API
-      next, // used for middleware or to fetch assets
-      data, // arbitrary space for passing data between middlewares
-    } = context;
-    console.log(env)
-    console.log(params.id)
-    await env.img_url.delete(params.id);
+    const { env, params } = context;
+
+    const result = await applyAction(env, params.id, 'delete');
+    if (!result.success) {
+        return new Response(result.error, { status: 404 });
+    }
     const info = JSON.stringify(params.id);
     return new Response(info);
-
-  }
\ No newline at end of file
+}
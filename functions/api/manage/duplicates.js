@@ -0,0 +1,92 @@
+import { findDuplicate, hashFile, rememberHash } from '../../utils/dedup';
+import { jsonResponse } from '../../utils/http';
+import { listFileKeys } from '../../utils/kv';
+import { fetchStoredFile } from '../../utils/storage';
+
+// 每个文件都需要下载一次，单次请求只处理少量文件
+const DEFAULT_BACKFILL = 20;
+const MAX_BACKFILL = 50;
+
+/**
+ * GET /api/manage/duplicates
+ * 按内容哈希分组，返回重复的文件：
+ * { groups: [{ sha256, keys: [{ name, metadata }] }], unhashed }
+ * 每组按上传时间排序，第一个为最早上传的文件；unhashed 为尚未计算哈希的旧文件数量
+ */
+export async function onRequestGet(context) {
+    const { env } = context;
+    return jsonResponse(buildReport(await listFileKeys(env)));
+}
+
+/**
+ * POST /api/manage/duplicates
+ * 请求体（可选）：{ "limit": 20 }
+ * 为最多 limit 个旧文件下载原文件并补算哈希，之后返回与 GET 相同的报告，
+ * 另附 backfilled（本次补算数量）和 failed（下载失败的文件）
+ * 多次调用直到 unhashed 为 0 即可覆盖全部旧文件，分片上传的旧文件不参与补算
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    let body = {};
+    try {
+        body = await request.json();
+    } catch (error) {
+        // 请求体可以为空
+    }
+    const limit = Math.min(parseInt(body && body.limit, 10) || DEFAULT_BACKFILL, MAX_BACKFILL);
+
+    const keys = await listFileKeys(env);
+    const pending = keys.filter(needsHash).slice(0, limit);
+
+    let backfilled = 0;
+    const failed = [];
+    for (const key of pending) {
+        try {
+            const response = await fetchStoredFile(env, key.name, key.metadata);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const hash = await hashFile(await response.blob());
+
+            const record = await env.img_url.getWithMetadata(key.name);
+            if (!record.metadata) continue;
+            const metadata = { ...record.metadata, sha256: hash };
+            await env.img_url.put(key.name, record.value || "", { metadata });
+            key.metadata = metadata;
+
+            // 索引中没有有效记录时，让之后的重复上传指向该文件
+            if (!await findDuplicate(env, hash)) {
+                await rememberHash(env, hash, key.name);
+            }
+            backfilled++;
+        } catch (error) {
+            failed.push({ name: key.name, error: error.message });
+        }
+    }
+
+    return jsonResponse({ ...buildReport(keys), backfilled, failed });
+}
+
+function needsHash(key) {
+    return !(key.metadata && (key.metadata.sha256 || key.metadata.chunked));
+}
+
+function buildReport(keys) {
+    const byHash = new Map();
+    for (const key of keys) {
+        const hash = key.metadata && key.metadata.sha256;
+        if (!hash) continue;
+        if (!byHash.has(hash)) byHash.set(hash, []);
+        byHash.get(hash).push({ name: key.name, metadata: key.metadata });
+    }
+
+    const groups = [];
+    for (const [sha256, group] of byHash) {
+        if (group.length < 2) continue;
+        group.sort((a, b) => (a.metadata.TimeStamp || 0) - (b.metadata.TimeStamp || 0));
+        groups.push({ sha256, keys: group });
+    }
+
+    return { groups, unhashed: keys.filter(needsHash).length };
+}
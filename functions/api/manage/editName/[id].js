@@ -1,22 +1,23 @@
-export async function onRequest(context) {
-    const { params, env } = context;
-
-    console.log("Request ID:", params.id);
+import { updateFile } from '../../../utils/manage';
 
-    // 获取元数据
-    const value = await env.img_url.getWithMetadata(params.id);
-    console.log("Current metadata:", value);
-
-    // 如果记录不存在
-    if (!value.metadata) return new Response(`Image metadata not found for ID: ${params.id}`, { status: 404 });
+/**
+ * 修改文件名：/api/manage/editName/:id?newName=xxx，返回 { success, fileName }；内部记录或不存在的文件返回 404
+ */
+export async function onRequest(context) {
+    const { request, params, env } = context;
 
-    // 更新文件名
-    value.metadata.fileName = params.name;
-    await env.img_url.put(params.id, "", { metadata: value.metadata });
+    const fileName = new URL(request.url).searchParams.get('newName');
+    if (!fileName) {
+        return new Response(JSON.stringify({ success: false, error: 'newName is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
 
-    console.log("Updated metadata:", value.metadata);
+    const result = await updateFile(env, params.id, metadata => { metadata.fileName = fileName; });
+    if (!result.success) return new Response(result.error, { status: 404 });
 
-    return new Response(JSON.stringify({ success: true, fileName: value.metadata.fileName }), {
+    return new Response(JSON.stringify({ success: true, fileName: result.metadata.fileName }), {
         headers: { 'Content-Type': 'application/json' },
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,33 @@
+import { jsonResponse } from '../../utils/http';
+import { exportRecords, FORMATS } from '../../utils/backup';
+
+/**
+ * GET /api/manage/export  导出 KV 中的文件索引，用于备份或迁移到其他账号
+ * 查询参数：format 为 jsonl（默认）或 csv；all=true 时同时导出相册、API Key、重复检测索引、回收站、统计数据和迁移文件的别名，
+ * 使用 API Key 调用时不能使用 all=true
+ * 每行（CSV 为每条记录）为 { key, value, metadata }，以流的形式返回，可直接用于 /api/manage/import
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const query = new URL(request.url).searchParams;
+
+    const format = query.get('format') || 'jsonl';
+    if (!FORMATS.includes(format)) {
+        return jsonResponse({ error: `Unsupported format, allowed: ${FORMATS.join(', ')}` }, 400);
+    }
+
+    // 全部记录中包含 API Key 的哈希和相册密码的哈希，只有管理员可以导出
+    const all = query.get('all') === 'true';
+    if (all && context.data.apiKey) {
+        return jsonResponse({ error: 'API keys cannot export internal records' }, 403);
+    }
+
+    const date = new Date().toISOString().substring(0, 10);
+    return new Response(exportRecords(env, format, { all }), {
+        headers: {
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="telegraph-image-${date}.${format}"`,
+            'Cache-Control': 'no-store',
+        },
+    });
+}
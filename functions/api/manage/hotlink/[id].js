@@ -0,0 +1,53 @@
+import { applyAction } from '../../../utils/manage';
+import { jsonResponse } from '../../../utils/http';
+import { getHotlinkPolicy, parseHotlinkOverride } from '../../../utils/hotlink';
+
+/**
+ * GET /api/manage/hotlink/:id  文件的防盗链设置：{ hotlink, policy }
+ * hotlink 为该文件单独的设置（没有时为 null），policy 为与全局设置合并后实际生效的策略
+ */
+export async function onRequestGet(context) {
+    const { env, params } = context;
+
+    const record = await env.img_url.getWithMetadata(params.id);
+    if (!record.metadata) {
+        return jsonResponse({ error: 'File not found' }, 404);
+    }
+    return jsonResponse({ hotlink: record.metadata.hotlink || null, policy: getHotlinkPolicy(env, record.metadata) });
+}
+
+/**
+ * PUT /api/manage/hotlink/:id  单独设置文件的防盗链，未传入的字段沿用全局设置
+ * 请求体：{ "referers": ["example.com", "*.example.org"], "emptyReferer": "deny", "action": "placeholder" }
+ */
+export async function onRequestPut(context) {
+    const { request, env, params } = context;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { override, error } = parseHotlinkOverride(body);
+    if (error) {
+        return jsonResponse({ error }, 400);
+    }
+    return respond(env, await applyAction(env, params.id, 'hotlink', { hotlink: override }));
+}
+
+/**
+ * DELETE /api/manage/hotlink/:id  删除文件单独的设置，恢复全局防盗链设置
+ */
+export async function onRequestDelete(context) {
+    const { env, params } = context;
+    return respond(env, await applyAction(env, params.id, 'hotlink', { hotlink: null }));
+}
+
+function respond(env, result) {
+    if (!result.success) {
+        return jsonResponse({ error: result.error }, 404);
+    }
+    return jsonResponse({ hotlink: result.metadata.hotlink || null, policy: getHotlinkPolicy(env, result.metadata) });
+}
@@ -0,0 +1,65 @@
+import { jsonResponse } from '../../utils/http';
+import { FORMATS, importRecord, parseDump, POLICIES } from '../../utils/backup';
+import { isFileKey } from '../../utils/kv';
+
+// 每条记录需要读取一次、写入一次 KV，单次请求只处理一部分以免超过 KV 操作次数的限制
+const DEFAULT_LIMIT = 400;
+const MAX_LIMIT = 400;
+// 返回的无效记录数量上限
+const MAX_ERRORS = 20;
+
+/**
+ * POST /api/manage/import  导入 /api/manage/export 导出的数据，请求体为导出的文件
+ * 查询参数：
+ *   format   jsonl（默认）或 csv
+ *   policy   KV 中已存在同名记录时的处理方式：skip（默认，保留已有记录）、overwrite（覆盖）、newest（保留较新的记录）
+ *   dryRun   为 true 时只统计结果，不写入 KV
+ *   offset   从第几条记录开始处理，limit 单次处理的数量（默认 400，最多 400）
+ * 登录会话和 API Key 的记录不会导入，使用 API Key 调用时只导入文件记录
+ * 返回 { dryRun, policy, processed, created, overwritten, skipped, invalid, errors, next }，
+ * next 不为 null 时以 offset=next 再次提交同一个文件以继续导入
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    const query = new URL(request.url).searchParams;
+
+    const format = query.get('format') || 'jsonl';
+    if (!FORMATS.includes(format)) {
+        return jsonResponse({ error: `Unsupported format, allowed: ${FORMATS.join(', ')}` }, 400);
+    }
+    const policy = query.get('policy') || 'skip';
+    if (!POLICIES.includes(policy)) {
+        return jsonResponse({ error: `Unsupported policy, allowed: ${POLICIES.join(', ')}` }, 400);
+    }
+    const offset = query.has('offset') ? parseInt(query.get('offset'), 10) : 0;
+    if (!(offset >= 0)) {
+        return jsonResponse({ error: 'offset must be a non-negative integer' }, 400);
+    }
+    const limit = query.has('limit') ? parseInt(query.get('limit'), 10) : DEFAULT_LIMIT;
+    if (!(limit > 0 && limit <= MAX_LIMIT)) {
+        return jsonResponse({ error: `limit must be between 1 and ${MAX_LIMIT}` }, 400);
+    }
+    const dryRun = query.get('dryRun') === 'true';
+
+    const entries = parseDump(await request.text(), format);
+    const batch = entries.slice(offset, offset + limit);
+
+    const result = { dryRun, policy, processed: batch.length, created: 0, overwritten: 0, skipped: 0, invalid: 0, errors: [] };
+    for (const entry of batch) {
+        // 相册、回收站等内部记录只有管理员可以导入，API Key 只能导入文件记录
+        if (entry.record && !isFileKey(entry.record.key) && context.data.apiKey) {
+            entry.error = 'API keys can only import file records';
+        }
+        if (entry.error) {
+            result.invalid++;
+            if (result.errors.length < MAX_ERRORS) {
+                result.errors.push({ line: entry.line, error: entry.error });
+            }
+            continue;
+        }
+        result[await importRecord(env, entry.record, policy, dryRun)]++;
+    }
+    result.next = offset + limit < entries.length ? offset + limit : null;
+
+    return jsonResponse(result);
+}
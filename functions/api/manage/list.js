@@ -1,3 +1,31 @@
+import { isFileKey, listFileKeys } from '../../utils/kv';
+import { jsonResponse } from '../../utils/http';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const SORT_FIELDS = {
+  time: key => key.metadata?.TimeStamp || 0,
+  size: key => key.metadata?.fileSize || 0,
+  name: key => (key.metadata?.fileName || key.name).toLowerCase(),
+};
+
+/**
+ * GET /api/manage/list
+ *
+ * Without query parameters every key is returned as a plain array, as the
+ * admin pages expect. With any parameter the response is a page:
+ * { keys, cursor, list_complete }; pass `cursor` back to get the next page.
+ *
+ * limit     page size, default 100, at most 1000
+ * ListType  None / White / Block
+ * Label     e.g. adult
+ * liked     true / false
+ * fileType  MIME type or prefix, e.g. image or image/png
+ * fileName  case-insensitive substring of the file name
+ * from, to  TimeStamp range in milliseconds (inclusive)
+ * sort      time / size / name (without sort keys come in KV order)
+ * order     asc / desc, default desc
+ */
 export async function onRequest(context) {
   // Contents of context object
   const {
@@ -8,23 +36,106 @@ export async function onRequest(context) {
     next, // used for middleware or to fetch assets
     data, // arbitrary space for passing data between middlewares
   } = context;
-  console.log(env)
-  const value = await env.img_url.list();
-
-  console.log(value)
-  //let res=[]
-  //for (let i in value.keys){
-    //add to res
-    //"metadata":{"TimeStamp":19876541,"ListType":"None","rating_label":"None"}
-    //let tmp = {
-    //  name: value.keys[i].name,
-    //  TimeStamp: value.keys[i].metadata.TimeStamp,
-    //  ListType: value.keys[i].metadata.ListType,
-    //  rating_label: value.keys[i].metadata.rating_label,
-    //}
-    //res.push(tmp)
-  //}
-  const info = JSON.stringify(value.keys);
-  return new Response(info);
-
-}
\ No newline at end of file
+  const url = new URL(request.url);
+  const query = url.searchParams;
+
+  if ([...query.keys()].length === 0) {
+    const keys = await listFileKeys(env);
+    return new Response(JSON.stringify(keys));
+  }
+
+  const limit = query.has('limit') ? parseInt(query.get('limit'), 10) : DEFAULT_LIMIT;
+  if (!(limit > 0 && limit <= MAX_LIMIT)) {
+    return jsonResponse({ error: `limit must be between 1 and ${MAX_LIMIT}` }, 400);
+  }
+  const sort = query.get('sort');
+  if (sort && !SORT_FIELDS[sort]) {
+    return jsonResponse({ error: `Unsupported sort, allowed: ${Object.keys(SORT_FIELDS).join(', ')}` }, 400);
+  }
+
+  let cursor = null;
+  if (query.get('cursor')) {
+    try {
+      cursor = JSON.parse(atob(query.get('cursor')));
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid cursor' }, 400);
+    }
+  }
+
+  const matches = buildFilter(query);
+  const page = sort
+    ? await listSorted(env, matches, limit, cursor, SORT_FIELDS[sort], query.get('order') === 'asc')
+    : await listInKvOrder(env, matches, limit, cursor);
+
+  return jsonResponse({
+    keys: page.keys,
+    cursor: page.cursor ? btoa(JSON.stringify(page.cursor)) : null,
+    list_complete: !page.cursor,
+  });
+}
+
+/**
+ * Walk KV pages from the cursor until `limit` matching keys are found.
+ * The cursor remembers the KV cursor and the position inside that KV page.
+ */
+async function listInKvOrder(env, matches, limit, cursor) {
+  let kvCursor = cursor?.kv;
+  let offset = cursor?.offset || 0;
+  const keys = [];
+  while (true) {
+    const page = await env.img_url.list({ cursor: kvCursor });
+    for (let i = offset; i < page.keys.length; i++) {
+      if (!matches(page.keys[i])) continue;
+      if (keys.length === limit) {
+        return { keys, cursor: { kv: kvCursor, offset: i } };
+      }
+      keys.push(page.keys[i]);
+    }
+    if (page.list_complete) {
+      return { keys, cursor: null };
+    }
+    kvCursor = page.cursor;
+    offset = 0;
+  }
+}
+
+/**
+ * Sorting needs every key, so the whole namespace is read and the cursor
+ * is an offset into the sorted result.
+ */
+async function listSorted(env, matches, limit, cursor, field, ascending) {
+  const keys = (await listFileKeys(env)).filter(matches);
+  keys.sort((a, b) => {
+    const x = field(a);
+    const y = field(b);
+    const result = x < y ? -1 : x > y ? 1 : 0;
+    return ascending ? result : -result;
+  });
+
+  const offset = cursor?.offset || 0;
+  const end = offset + limit;
+  return { keys: keys.slice(offset, end), cursor: end < keys.length ? { offset: end } : null };
+}
+
+function buildFilter(query) {
+  const listType = query.get('ListType');
+  const label = query.get('Label');
+  const liked = query.has('liked') ? query.get('liked') === 'true' : null;
+  const fileType = query.get('fileType');
+  const fileName = query.get('fileName')?.toLowerCase();
+  const from = query.has('from') ? Number(query.get('from')) : null;
+  const to = query.has('to') ? Number(query.get('to')) : null;
+
+  return key => {
+    if (!isFileKey(key.name)) return false;
+    const metadata = key.metadata || {};
+    if (listType && (metadata.ListType || 'None') !== listType) return false;
+    if (label && (metadata.Label || 'None') !== label) return false;
+    if (liked !== null && Boolean(metadata.liked) !== liked) return false;
+    if (fileType && !(metadata.fileType || '').startsWith(fileType)) return false;
+    if (fileName && !(metadata.fileName || key.name).toLowerCase().includes(fileName)) return false;
+    if (from !== null && !((metadata.TimeStamp || 0) >= from)) return false;
+    if (to !== null && !((metadata.TimeStamp || 0) <= to)) return false;
+    return true;
+  };
+}
@@ -1,16 +1,60 @@
+import { checkCredentials, createSession, getRequestToken, parseBasicAuth, sessionCookie, verifySession } from '../../utils/auth';
+import { jsonResponse } from '../../utils/http';
+
+/**
+ * GET  已登录时跳转到后台，否则跳转到登录页
+ * POST 校验用户名密码并签发会话
+ *      - 登录页表单（application/x-www-form-urlencoded）：写入 HttpOnly Cookie 并跳转到后台
+ *      - JSON { username, password } 或 Basic 认证头：返回 { token, expiresAt }，
+ *        之后通过 "Authorization: Bearer <token>" 调用管理接口
+ */
 export async function onRequest(context) {
-    // Contents of context object
-    const {
-      request, // same as existing Worker API
-      env, // same as existing Worker API
-      params, // if filename includes [id] or [[path]]
-      waitUntil, // same as ctx.waitUntil in existing Worker API
-      next, // used for middleware or to fetch assets
-      data, // arbitrary space for passing data between middlewares
-    } = context;
-    //get the request url
+    const { request, env } = context;
     const url = new URL(request.url);
-    //redirect to admin page
-    return Response.redirect(url.origin+"/admin.html", 302)
 
-  }
\ No newline at end of file
+    // 未开启登录验证
+    if (!env.BASIC_USER) {
+        return Response.redirect(url.origin + "/admin.html", 302);
+    }
+
+    if (request.method !== 'POST') {
+        const session = await verifySession(env, getRequestToken(request));
+        return Response.redirect(url.origin + (session ? "/admin.html" : "/login.html"), 302);
+    }
+
+    const contentType = request.headers.get('Content-Type') || '';
+    const isForm = contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data');
+
+    let credentials = parseBasicAuth(request);
+    if (!credentials) {
+        try {
+            if (isForm) {
+                const formData = await request.formData();
+                credentials = { user: formData.get('username'), pass: formData.get('password') };
+            } else {
+                const body = await request.json();
+                credentials = { user: body.username, pass: body.password };
+            }
+        } catch (error) {
+            return jsonResponse({ error: 'Missing credentials' }, 400);
+        }
+    }
+
+    if (!credentials.user || !credentials.pass || !await checkCredentials(env, credentials.user, credentials.pass)) {
+        if (isForm) {
+            return Response.redirect(url.origin + "/login.html?error=1", 302);
+        }
+        return jsonResponse({ error: 'Invalid credentials.' }, 401);
+    }
+
+    const { token, expiresAt, ttl } = await createSession(env);
+    const cookie = sessionCookie(token, ttl);
+
+    if (isForm) {
+        return new Response(null, {
+            status: 302,
+            headers: { 'Location': url.origin + "/admin.html", 'Set-Cookie': cookie },
+        });
+    }
+    return jsonResponse({ token, expiresAt }, 200, { 'Set-Cookie': cookie, 'Cache-Control': 'no-store' });
+}
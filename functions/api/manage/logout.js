@@ -1,13 +1,18 @@
+import { clearSessionCookie, getRequestToken, revokeSession } from '../../utils/auth';
+
 export async function onRequest(context) {
-    // Contents of context object
-    const {
-      request, // same as existing Worker API
-      env, // same as existing Worker API
-      params, // if filename includes [id] or [[path]]
-      waitUntil, // same as ctx.waitUntil in existing Worker API
-      next, // used for middleware or to fetch assets
-      data, // arbitrary space for passing data between middlewares
-    } = context;
-    return new Response('Logged out.', { status: 401 });
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    // 删除服务端的会话记录，即使 Cookie 或令牌被复制也无法继续使用
+    await revokeSession(env, getRequestToken(request));
 
-  }
\ No newline at end of file
+    return new Response(null, {
+        status: 302,
+        headers: {
+            'Location': url.origin + (env.BASIC_USER ? "/login.html" : "/"),
+            'Set-Cookie': clearSessionCookie(),
+            'Cache-Control': 'no-store',
+        },
+    });
+}
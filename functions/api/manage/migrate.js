@@ -0,0 +1,32 @@
+import { jsonResponse } from '../../utils/http';
+import { getMigrationStatus, MAX_MIGRATION_BATCH, migrateLegacyFiles } from '../../utils/migration';
+
+/**
+ * GET /api/manage/migrate  telegra.ph 旧文件的迁移进度
+ * 返回 { pending, failed, migrated }：pending 为仍在 telegra.ph 上的文件数（包含失败的），
+ * failed 为迁移失败的文件数，migrated 为已迁移的文件数
+ */
+export async function onRequestGet(context) {
+    const { env } = context;
+    return jsonResponse(await getMigrationStatus(env));
+}
+
+/**
+ * POST /api/manage/migrate  将 telegra.ph 上的旧文件重新上传到 Telegram 频道
+ * 请求体（可选）：{ "limit": 10, "retryFailed": false }，retryFailed 为 true 时重试之前失败的文件
+ * 返回 { migrated: [{ name, key }], failed: [{ name, error }], remaining }，remaining 大于 0 时可再次调用
+ * 迁移后旧链接 /file/<name> 通过别名继续访问新文件 /file/<key>
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    let body = {};
+    try {
+        body = await request.json();
+    } catch (error) {
+        // 请求体可以为空
+    }
+    const limit = Math.min(parseInt(body && body.limit, 10) || MAX_MIGRATION_BATCH, MAX_MIGRATION_BATCH);
+
+    return jsonResponse(await migrateLegacyFiles(env, limit, { retryFailed: Boolean(body && body.retryFailed) }));
+}
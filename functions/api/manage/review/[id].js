@@ -0,0 +1,29 @@
+import { applyAction } from '../../../utils/manage';
+import { jsonResponse } from '../../../utils/http';
+
+/**
+ * POST /api/manage/review/:id
+ * 请求体：{ "decision": "approve" } 或 { "decision": "reject" }
+ * approve 将文件加入白名单，reject 将文件加入黑名单
+ */
+export async function onRequestPost(context) {
+    const { request, env, params } = context;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const decision = body && body.decision;
+    if (decision !== 'approve' && decision !== 'reject') {
+        return jsonResponse({ error: 'decision must be approve or reject' }, 400);
+    }
+
+    const result = await applyAction(env, params.id, decision);
+    if (!result.success) {
+        return jsonResponse({ error: result.error }, 404);
+    }
+    return jsonResponse(result.metadata);
+}
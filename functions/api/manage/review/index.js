@@ -0,0 +1,16 @@
+import { jsonResponse } from '../../../utils/http';
+import { listFileKeys } from '../../../utils/kv';
+
+/**
+ * GET /api/manage/review
+ * 待审核队列：内容审核无法确定或审核失败的文件（ListType 为 Pending），按上传时间从早到晚排列
+ */
+export async function onRequestGet(context) {
+    const { env } = context;
+
+    const keys = (await listFileKeys(env))
+        .filter(key => key.metadata && key.metadata.ListType === "Pending")
+        .sort((a, b) => (a.metadata.TimeStamp || 0) - (b.metadata.TimeStamp || 0));
+
+    return jsonResponse({ keys });
+}
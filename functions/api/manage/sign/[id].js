@@ -0,0 +1,39 @@
+import { getFileSecret, signFileUrl } from '../../../utils/auth';
+import { jsonResponse } from '../../../utils/http';
+
+const DEFAULT_EXPIRES_IN = 60 * 60;
+const MAX_EXPIRES_IN = 30 * 24 * 60 * 60;
+
+/**
+ * POST /api/manage/sign/:id  生成带签名的限时链接，私有文件只能通过该链接访问
+ * 请求体（可选）：{ "expiresIn": 3600 }，有效期（秒），默认 1 小时，最长 30 天
+ * 返回 { url, expiresAt }；未设置 AUTH_SECRET 且无法由 Bot Token 和后台账号密码派生密钥时返回 503
+ */
+export async function onRequestPost(context) {
+    const { request, env, params } = context;
+
+    let body = {};
+    try {
+        body = await request.json();
+    } catch (error) {
+        // 请求体可以为空
+    }
+
+    const expiresIn = body && body.expiresIn !== undefined ? body.expiresIn : DEFAULT_EXPIRES_IN;
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > MAX_EXPIRES_IN) {
+        return jsonResponse({ error: `expiresIn must be a number of seconds between 1 and ${MAX_EXPIRES_IN}` }, 400);
+    }
+
+    const record = await env.img_url.getWithMetadata(params.id);
+    if (!record.metadata) {
+        return jsonResponse({ error: 'File not found' }, 404);
+    }
+
+    // 没有可用的密钥时签出的链接可以被伪造
+    if (!getFileSecret(env)) {
+        return jsonResponse({ error: 'Signed links require AUTH_SECRET' }, 503);
+    }
+
+    const url = await signFileUrl(env, new URL(request.url).origin, params.id, expiresIn);
+    return jsonResponse({ url, expiresAt: Date.now() + expiresIn * 1000 }, 200, { 'Cache-Control': 'no-store' });
+}
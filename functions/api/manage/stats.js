@@ -0,0 +1,76 @@
+import { listFileKeys } from '../../utils/kv';
+import { jsonResponse } from '../../utils/http';
+import { getDailyStats, getFileStats, isStatsEnabled } from '../../utils/stats';
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 90;
+const DEFAULT_TOP = 20;
+const MAX_TOP = 100;
+const SORT_FIELDS = ['views', 'bytes'];
+
+/**
+ * GET /api/manage/stats  访问和上传统计，需要设置 STATS_ENABLED=true
+ * 查询参数：days 统计的天数（默认 30，最多 90），top 返回的文件和来源数量（默认 20，最多 100），
+ * sort 文件排序方式 views（默认）或 bytes
+ * 返回 { enabled, totals, days: [{ date, views, bytes, uploads, uploadBytes, duplicates, types, referers }],
+ * types, referers: [{ host, views }], files: [{ name, fileName, fileType, views, bytes, lastViewedAt }] }
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const query = new URL(request.url).searchParams;
+
+    const days = query.has('days') ? parseInt(query.get('days'), 10) : DEFAULT_DAYS;
+    if (!(days > 0 && days <= MAX_DAYS)) {
+        return jsonResponse({ error: `days must be between 1 and ${MAX_DAYS}` }, 400);
+    }
+    const top = query.has('top') ? parseInt(query.get('top'), 10) : DEFAULT_TOP;
+    if (!(top > 0 && top <= MAX_TOP)) {
+        return jsonResponse({ error: `top must be between 1 and ${MAX_TOP}` }, 400);
+    }
+    const sort = query.get('sort') || 'views';
+    if (!SORT_FIELDS.includes(sort)) {
+        return jsonResponse({ error: `Unsupported sort, allowed: ${SORT_FIELDS.join(', ')}` }, 400);
+    }
+
+    const daily = await getDailyStats(env, days);
+
+    // 汇总每天的数据
+    const totals = { views: 0, bytes: 0, uploads: 0, uploadBytes: 0, duplicates: 0 };
+    const types = {};
+    const referers = {};
+    for (const day of daily) {
+        for (const field in totals) {
+            totals[field] += day[field];
+        }
+        for (const [type, count] of Object.entries(day.types)) {
+            types[type] = (types[type] || 0) + count;
+        }
+        for (const [host, views] of Object.entries(day.referers)) {
+            referers[host] = (referers[host] || 0) + views;
+        }
+    }
+
+    // 单个文件的计数为累计值，已删除文件的计数不再返回
+    const files = new Map((await listFileKeys(env)).map(key => [key.name, key.metadata || {}]));
+    const fileStats = (await getFileStats(env))
+        .filter(stats => files.has(stats.name))
+        .sort((a, b) => b[sort] - a[sort])
+        .slice(0, top)
+        .map(stats => ({
+            ...stats,
+            fileName: files.get(stats.name).fileName || stats.name,
+            fileType: files.get(stats.name).fileType || null,
+        }));
+
+    return jsonResponse({
+        enabled: isStatsEnabled(env),
+        totals,
+        days: daily,
+        types,
+        referers: Object.entries(referers)
+            .map(([host, views]) => ({ host, views }))
+            .sort((a, b) => b.views - a.views)
+            .slice(0, top),
+        files: fileStats,
+    });
+}
@@ -0,0 +1,29 @@
+import { jsonResponse } from '../../../utils/http';
+import { purgeFile, restoreFile } from '../../../utils/trash';
+
+/**
+ * POST /api/manage/trash/:id  从回收站恢复文件，返回恢复后的元数据
+ */
+export async function onRequestPost(context) {
+    const { env, params } = context;
+
+    const metadata = await restoreFile(env, params.id);
+    if (!metadata) {
+        return jsonResponse({ error: `File not in trash: ${params.id}` }, 404);
+    }
+    return jsonResponse(metadata);
+}
+
+/**
+ * DELETE /api/manage/trash/:id  彻底删除回收站中的文件：删除 Telegram 频道中的消息，KV 记录替换为墓碑
+ * 返回 { messages, error? }，messages 为删除的消息或对象数量，error 为存储后端拒绝删除的原因
+ */
+export async function onRequestDelete(context) {
+    const { env, params } = context;
+
+    const result = await purgeFile(env, params.id);
+    if (!result) {
+        return jsonResponse({ error: `File not in trash: ${params.id}` }, 404);
+    }
+    return jsonResponse(result);
+}
@@ -0,0 +1,24 @@
+import { jsonResponse } from '../../../utils/http';
+import { listTrash, MAX_PURGE_BATCH, purgeTrash } from '../../../utils/trash';
+
+/**
+ * GET /api/manage/trash
+ * 回收站中的文件，按删除时间从晚到早排列：{ keys: [{ name, metadata }] }，metadata.deletedAt 为删除时间
+ */
+export async function onRequestGet(context) {
+    const { env } = context;
+    return jsonResponse({ keys: await listTrash(env) });
+}
+
+/**
+ * DELETE /api/manage/trash  清空回收站：删除 Telegram 频道中的消息，KV 记录替换为墓碑
+ * 查询参数 limit 为单次处理的数量（默认 40，最多 40）
+ * 返回 { purged: [{ name, messages, error? }], remaining }，remaining 大于 0 时可再次调用
+ */
+export async function onRequestDelete(context) {
+    const { request, env } = context;
+    const query = new URL(request.url).searchParams;
+    const limit = Math.min(parseInt(query.get('limit'), 10) || MAX_PURGE_BATCH, MAX_PURGE_BATCH);
+
+    return jsonResponse(await purgeTrash(env, limit, { all: true }));
+}
@@ -1,23 +1,14 @@
+import { applyAction } from '../../../utils/manage';
+
+/**
+ * 将文件加入白名单，返回更新后的元数据；内部记录或不存在的文件返回 404
+ */
 export async function onRequest(context) {
-    // Contents of context object
-    const {
-      request, // same as existing Worker API
-      env, // same as existing Worker API
-      params, // if filename includes [id] or [[path]]
-      waitUntil, // same as ctx.waitUntil in existing Worker API
-      next, // used for middleware or to fetch assets
-      data, // arbitrary space for passing data between middlewares
-    } = context;
-    console.log(env)
-    console.log(params.id)
-    //read the metadata
-    const value = await env.img_url.getWithMetadata(params.id);
-    console.log(value)
-    //"metadata":{"TimeStamp":19876541,"ListType":"None","rating_label":"None"}
-    //change the metadata
-    value.metadata.ListType = "White"
-    await env.img_url.put(params.id,"",{metadata: value.metadata});
-    const info = JSON.stringify(value.metadata);
-    return new Response(info);
+    const { env, params } = context;
 
-  }
\ No newline at end of file
+    const result = await applyAction(env, params.id, 'white');
+    if (!result.success) {
+        return new Response(result.error, { status: 404 });
+    }
+    return new Response(JSON.stringify(result.metadata));
+}
@@ -0,0 +1,253 @@
+import { timingSafeEqual } from '../../utils/auth';
+import { listFileKeys } from '../../utils/kv';
+import { deletedKeyboard, fileKeyboard, getMessageFile, resolveCallback } from '../../utils/keyboard';
+import { applyAction } from '../../utils/manage';
+import { callTelegram, fetchTelegramFile } from '../../utils/telegram';
+import { storeFile } from '../../utils/upload';
+
+// Bot API 的 getFile 只能下载不超过 20 MB 的文件
+const MAX_DOWNLOAD_SIZE = 20 * 1024 * 1024;
+const DEFAULT_LIST_COUNT = 10;
+const MAX_LIST_COUNT = 50;
+
+const HELP = `发送图片、视频、音频或文件即可上传，返回访问链接
+
+/list [数量] 最近上传的文件
+/stats 文件统计
+/delete <链接或文件ID> 删除文件（移入回收站）
+/block <链接或文件ID> 加入黑名单
+/white <链接或文件ID> 加入白名单`;
+
+// 命令与 utils/manage.js 中的管理操作的对应关系
+const COMMAND_ACTIONS = {
+    '/delete': 'delete',
+    '/block': 'block',
+    '/white': 'white',
+};
+
+/**
+ * POST /api/telegram/webhook
+ * Telegram Bot 的 Webhook，需要设置 TG_WEBHOOK_SECRET，并通过 setWebhook 的 secret_token 传入同一个值
+ * 只有 TG_ADMIN_IDS 中的用户可以上传、使用管理命令和点击上传通知上的管理按钮
+ * 无论处理结果如何都返回 200，否则 Telegram 会不断重发同一条更新
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    if (!env.TG_WEBHOOK_SECRET) {
+        return new Response('Webhook is disabled. Set TG_WEBHOOK_SECRET to enable it.', { status: 404 });
+    }
+    const secret = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+    if (!await timingSafeEqual(secret, env.TG_WEBHOOK_SECRET)) {
+        return new Response('Unauthorized', { status: 401 });
+    }
+
+    let update;
+    try {
+        update = await request.json();
+    } catch (error) {
+        return new Response('Invalid JSON body', { status: 400 });
+    }
+
+    // 上传通知消息上的管理按钮
+    if (update.callback_query) {
+        try {
+            await handleCallback(env, update.callback_query);
+        } catch (error) {
+            console.error('Callback error:', error);
+        }
+        return new Response('OK');
+    }
+
+    const message = update.message;
+    if (!message || !message.from) {
+        return new Response('OK');
+    }
+
+    const reply = text => callTelegram(env, 'sendMessage', {
+        chat_id: message.chat.id,
+        text,
+        reply_to_message_id: message.message_id,
+        disable_web_page_preview: true,
+    });
+
+    try {
+        if (!isAdmin(env, message.from.id)) {
+            await reply(`🚫 没有权限，请将你的用户 ID ${message.from.id} 加入 TG_ADMIN_IDS`);
+        } else if (getAttachment(message)) {
+            await reply(await handleFile(env, new URL(request.url).origin, getAttachment(message)));
+        } else if (message.text && message.text.startsWith('/')) {
+            await reply(await handleCommand(env, message.text));
+        }
+    } catch (error) {
+        console.error('Webhook error:', error);
+        try {
+            await reply(`❌ ${error.message}`);
+        } catch (replyError) {
+            console.error('Failed to reply:', replyError);
+        }
+    }
+
+    return new Response('OK');
+}
+
+function isAdmin(env, userId) {
+    const ids = (env.TG_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return ids.includes(String(userId));
+}
+
+/**
+ * 处理通知消息上的按钮：更新文件的 KV 元数据，并修改按钮以显示新的状态
+ * 必须调用 answerCallbackQuery，否则按钮会一直显示加载中
+ */
+async function handleCallback(env, query) {
+    const answer = (text, showAlert = false) => callTelegram(env, 'answerCallbackQuery', {
+        callback_query_id: query.id,
+        text,
+        show_alert: showAlert,
+    });
+    const editKeyboard = replyMarkup => callTelegram(env, 'editMessageReplyMarkup', {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        reply_markup: replyMarkup,
+    });
+
+    if (!isAdmin(env, query.from.id)) {
+        return answer(`🚫 没有权限，请将你的用户 ID ${query.from.id} 加入 TG_ADMIN_IDS`, true);
+    }
+    if (query.data === 'noop') {
+        return answer('');
+    }
+
+    const file = getMessageFile(query.message);
+    if (!file || !env.img_url) {
+        return answer('无法识别该消息对应的文件', true);
+    }
+
+    const record = await env.img_url.getWithMetadata(file.key);
+    if (!record.metadata) {
+        await editKeyboard(deletedKeyboard());
+        return answer('文件不存在或已被删除', true);
+    }
+
+    const resolved = resolveCallback(query.data, record.metadata);
+    if (!resolved) {
+        return answer('未知操作', true);
+    }
+    if (resolved.confirm) {
+        await editKeyboard(fileKeyboard(file.fileUrl, record.metadata, { confirmDelete: true }));
+        return answer('再次点击确认删除');
+    }
+
+    const result = await applyAction(env, file.key, resolved.action, resolved.options);
+    if (!result.success) {
+        return answer(result.error, true);
+    }
+    await editKeyboard(resolved.action === 'delete' ? deletedKeyboard() : fileKeyboard(file.fileUrl, result.metadata));
+    return answer('✅ 已更新');
+}
+
+/**
+ * 消息中的文件：{ fileId, fileName, fileType, fileSize }，没有文件时返回 null
+ * 图片取最大的尺寸，Telegram 会将图片压缩为 JPEG；以文件形式发送可保留原图
+ */
+function getAttachment(message) {
+    if (message.photo) {
+        const photo = message.photo.reduce((prev, current) => (prev.file_size > current.file_size) ? prev : current);
+        return { fileId: photo.file_id, fileName: `photo_${photo.file_unique_id}.jpg`, fileType: 'image/jpeg', fileSize: photo.file_size };
+    }
+    const file = message.document || message.video || message.audio || message.animation;
+    if (!file) return null;
+    const fileType = file.mime_type || 'application/octet-stream';
+    const fileName = file.file_name || `file_${file.file_unique_id}.${fileType.split('/')[1] || 'bin'}`;
+    return { fileId: file.file_id, fileName, fileType, fileSize: file.file_size };
+}
+
+/**
+ * 下载用户发送的文件，并按与 /upload 相同的流程保存
+ */
+async function handleFile(env, origin, attachment) {
+    if (attachment.fileSize > MAX_DOWNLOAD_SIZE) {
+        throw new Error('文件超过 20 MB，Bot 无法下载，请通过网页上传');
+    }
+
+    const response = await fetchTelegramFile(env, attachment.fileId);
+    if (!response.ok) {
+        throw new Error(`下载文件失败：HTTP ${response.status}`);
+    }
+    const uploadFile = new File([await response.blob()], attachment.fileName, { type: attachment.fileType });
+
+    const { src, duplicate } = await storeFile(env, origin, uploadFile);
+    return `${duplicate ? '♻️ 文件已存在' : '✅ 上传成功'}\n${origin}${src}`;
+}
+
+async function handleCommand(env, text) {
+    // 群组中的命令形如 /list@bot_name
+    const [command, ...args] = text.trim().split(/\s+/);
+    const name = command.split('@')[0].toLowerCase();
+
+    if (name === '/start' || name === '/help') {
+        return HELP;
+    }
+    if (!env.img_url) {
+        throw new Error('未绑定 KV，无法管理文件');
+    }
+
+    if (name in COMMAND_ACTIONS) {
+        if (!args[0]) {
+            throw new Error(`用法：${name} <链接或文件ID>`);
+        }
+        const id = parseFileId(args[0]);
+        const result = await applyAction(env, id, COMMAND_ACTIONS[name]);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return `✅ ${name.substring(1)}: ${id}`;
+    }
+    if (name === '/list') {
+        return listFiles(env, parseInt(args[0], 10));
+    }
+    if (name === '/stats') {
+        return getStats(env);
+    }
+    return `未知命令 ${name}\n\n${HELP}`;
+}
+
+/**
+ * 接受 https://example.com/file/xxx.jpg 形式的链接或文件 ID
+ */
+function parseFileId(arg) {
+    const match = /\/file\/([^/?#]+)/.exec(arg);
+    return decodeURIComponent(match ? match[1] : arg);
+}
+
+async function listFiles(env, count) {
+    const limit = Math.min(count > 0 ? count : DEFAULT_LIST_COUNT, MAX_LIST_COUNT);
+    const keys = (await listFileKeys(env))
+        .sort((a, b) => ((b.metadata && b.metadata.TimeStamp) || 0) - ((a.metadata && a.metadata.TimeStamp) || 0))
+        .slice(0, limit);
+    if (keys.length === 0) {
+        return '暂无文件';
+    }
+    return keys.map(key => `${(key.metadata && key.metadata.fileName) || key.name}\n${key.name}`).join('\n\n');
+}
+
+async function getStats(env) {
+    const keys = await listFileKeys(env);
+    const stats = { size: 0, White: 0, Block: 0, Pending: 0, liked: 0, adult: 0 };
+    for (const { metadata = {} } of keys) {
+        stats.size += metadata.fileSize || 0;
+        if (metadata.ListType in stats) stats[metadata.ListType]++;
+        if (metadata.liked) stats.liked++;
+        if (metadata.Label === 'adult') stats.adult++;
+    }
+    return [
+        `📁 文件数：${keys.length}`,
+        `📏 总大小：${(stats.size / (1024 * 1024)).toFixed(1)} MB`,
+        `✅ 白名单：${stats.White}`,
+        `🚫 黑名单：${stats.Block}`,
+        `⏳ 待审核：${stats.Pending}`,
+        `🔞 NSFW：${stats.adult}`,
+        `⭐ 收藏：${stats.liked}`,
+    ].join('\n');
+}
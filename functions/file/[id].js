@@ -1,3 +1,17 @@
+import { getValidators, getRequestedRange, isNotModified, rangeNotSatisfiable, serveFile, sliceStream } from '../utils/http';
+import { cacheFile, getCacheControl, matchFile } from '../utils/cache';
+import { parseTransform } from '../utils/image';
+import { isFileKey } from '../utils/kv';
+import { fetchTelegramFile } from '../utils/telegram';
+import { fetchMirror, fetchStoredFile, supportsTransform } from '../utils/storage';
+import { getRequestToken, verifyFileUrl, verifySession } from '../utils/auth';
+import { getProvider, moderateFile } from '../utils/moderation';
+import { isExpired, isExpiring } from '../utils/expiry';
+import { getHotlinkPolicy, hotlinkResponse, isHotlinkAllowed } from '../utils/hotlink';
+import { trackView } from '../utils/stats';
+import { getDeletedFile } from '../utils/trash';
+import { resolveAlias } from '../utils/migration';
+
 export async function onRequest(context) {
     const {
         request,
@@ -6,79 +20,181 @@ export async function onRequest(context) {
     } = context;
 
     const url = new URL(request.url);
-    let fileUrl = 'https://telegra.ph/' + url.pathname + url.search
-    if (url.pathname.length > 39) { // Path length > 39 indicates file uploaded via Telegram Bot API
-        const formdata = new FormData();
-        formdata.append("file_id", url.pathname);
-
-        const requestOptions = {
-            method: "POST",
-            body: formdata,
-            redirect: "follow"
-        };
-        // /file/AgACAgEAAxkDAAMDZt1Gzs4W8dQPWiQJxO5YSH5X-gsAAt-sMRuWNelGOSaEM_9lHHgBAAMCAANtAAM2BA.png
-        //get the AgACAgEAAxkDAAMDZt1Gzs4W8dQPWiQJxO5YSH5X-gsAAt-sMRuWNelGOSaEM_9lHHgBAAMCAANtAAM2BA
-        console.log(url.pathname.split(".")[0].split("/")[2])
-        const filePath = await getFilePath(env, url.pathname.split(".")[0].split("/")[2]);
-        console.log(filePath)
-        fileUrl = `https://api.telegram.org/file/bot${env.TG_Bot_Token}/${filePath}`;
-    }
-
-    const response = await fetch(fileUrl, {
-        method: request.method,
-        headers: request.headers,
-        body: request.body,
-    });
+
+    // Internal records (sessions, ...) live in the same namespace and are never files
+    if (!isFileKey(params.id)) {
+        return new Response('Not Found', { status: 404 });
+    }
+
+    // Read the KV record up front: chunked files can only be located through it
+    let key = params.id;
+    let record = env.img_url ? await env.img_url.getWithMetadata(key) : null;
+
+    // Files migrated off telegra.ph keep answering on their old key through an alias
+    if (record && !record.metadata) {
+        const target = await resolveAlias(env, key);
+        if (target) {
+            key = target;
+            record = await env.img_url.getWithMetadata(key);
+        }
+    }
+
+    // Expired or used up links stay dead until the cleanup purges them.
+    // Deleted files (trashed or purged) must not fall through to the
+    // re-creation of missing records below
+    if (record && (isExpired(record.metadata) || (!record.metadata && await getDeletedFile(env, key)))) {
+        return new Response('Gone', { status: 410, headers: { 'Cache-Control': 'no-store' } });
+    }
+
+    // Signed links (see /api/manage/sign) skip the access checks until they expire
+    const signed = url.searchParams.has('sig') && await verifyFileUrl(env, params.id, url.searchParams);
+
+    // Private files are only served through a signed link or to a logged-in admin.
+    // The admin Referer is not enough here since any client can send it
+    const isPrivate = Boolean(record && record.metadata && record.metadata.private);
+    if (isPrivate && !signed && !await verifySession(env, getRequestToken(request))) {
+        return new Response('Not Found', { status: 404 });
+    }
+
+    // Refuse embeds from other sites before anything is fetched from Telegram
+    if (!signed) {
+        const hotlink = getHotlinkPolicy(env, record && record.metadata);
+        if (!isHotlinkAllowed(hotlink, request, url.origin)) {
+            return hotlinkResponse(env, hotlink, url.origin);
+        }
+    }
+
+    // Resized variants only exist for single (non-chunked) images on backends fetched over HTTP
+    let transform = null;
+    const fileType = record && record.metadata && record.metadata.fileType;
+    const isChunked = record && record.metadata && record.metadata.chunked;
+    if (!isChunked && (!fileType || fileType.startsWith('image/')) && supportsTransform(env, key, record && record.metadata)) {
+        transform = parseTransform(env, url.searchParams, request.headers.get('Accept') || '');
+        if (transform && transform.error) {
+            return new Response(transform.error, { status: 400 });
+        }
+    }
+    const variantId = transform ? `${key}?${transform.key}` : key;
+
+    const validators = await getValidators(variantId, record && record.metadata);
+    if (record && record.metadata && !transform) {
+        validators.contentType = fileType;
+    }
+    if (transform) {
+        validators.vary = transform.vary;
+    }
+    // Shared caches must not keep private files, browsers revalidate them through this handler
+    if (isPrivate) {
+        validators.cacheControl = 'private, no-cache';
+    }
+    // Browsers must not keep expiring files past their end or replay burn-after-read views
+    if (record && isExpiring(record.metadata)) {
+        const { expiresAt, maxViews } = record.metadata;
+        validators.cacheControl = maxViews ? 'no-store' : `private, max-age=${Math.floor((expiresAt - Date.now()) / 1000)}`;
+    }
+
+    let response;
+    // Files served to visitors are counted for /api/manage/stats
+    const serve = () => {
+        const served = serveFile(request, response, validators);
+        trackView(context, key, request, served);
+        return served;
+    };
+    if (isChunked) {
+        // Only the parts covering the requested range are downloaded
+        const range = getRequestedRange(request, record.metadata.fileSize, validators.etag, validators.lastModified);
+        if (range === false) {
+            return rangeNotSatisfiable(record.metadata.fileSize);
+        }
+        response = await fetchChunkedFile(env, record, range);
+        // The mirror holds the file in one piece, serveFile cuts the range out of it
+        if (!response.ok) {
+            const mirrored = await fetchMirror(env, key, record.metadata);
+            if (mirrored && mirrored.ok) response = mirrored;
+        }
+    } else {
+        // Serve the bytes from the edge cache when possible; access checks below still apply
+        // Variants are cached under their normalized parameters
+        const cacheKey = new Request(`${url.origin}/file/${variantId}`);
+        response = await matchFile(cacheKey);
+        if (!response) {
+            // Client headers are not forwarded: ranges and validators are handled by serveFile
+            response = await fetchStoredFile(env, key, record && record.metadata, transform ? { cf: { image: transform.options } } : undefined);
+            if (response.ok) {
+                const contentType = transform ? response.headers.get('Content-Type') : fileType || response.headers.get('Content-Type');
+                response = cacheFile(context, cacheKey, response, getCacheControl(env, contentType));
+            }
+        }
+    }
 
     // If the response is OK, proceed with further checks
     if (!response.ok) return response;
 
-    // Log response details
-    console.log(response.ok, response.status);
+    // Files limited to maxViews use up a view however they are served: any client
+    // can send the admin Referer, and signed links only skip the access checks
+    const isLimited = Boolean(record && record.metadata && record.metadata.maxViews);
 
     // Allow the admin page to directly view the image
-    const isAdmin = request.headers.get('Referer')?.includes(`${url.origin}/admin`);
+    const isAdmin = !isLimited && request.headers.get('Referer')?.includes(`${url.origin}/admin`);
     if (isAdmin) {
-        return response;
+        return serveFile(request, response, validators);
+    }
+
+    if (signed) {
+        if (isLimited) {
+            const metadata = { ...record.metadata };
+            if (countView(request, metadata, validators)) {
+                await env.img_url.put(key, record.value || "", { metadata });
+            }
+        }
+        return serve();
     }
 
     // Check if KV storage is available
     if (!env.img_url) {
         console.log("KV storage not available, returning image directly");
-        return response;  // Directly return image response, terminate execution
+        return serveFile(request, response, validators);  // Directly return image response, terminate execution
     }
 
     // The following code executes only if KV is available
-    let record = await env.img_url.getWithMetadata(params.id);
     if (!record || !record.metadata) {
         // Initialize metadata if it doesn't exist
-        console.log("Metadata not found, initializing...");
         record = {
+            value: "",
             metadata: {
                 ListType: "None",
                 Label: "None",
                 TimeStamp: Date.now(),
                 liked: false,
-                fileName: params.id,
+                fileName: key,
                 fileSize: 0,
             }
         };
-        await env.img_url.put(params.id, "", { metadata: record.metadata });
+        await env.img_url.put(key, "", { metadata: record.metadata });
+        // Keep the ETag stable from the very first view on
+        Object.assign(validators, await getValidators(variantId, record.metadata));
     }
 
+    // Keep the fields written at upload time (fileType, chunked, ...) and fill in the defaults
     const metadata = {
+        ...record.metadata,
         ListType: record.metadata.ListType || "None",
         Label: record.metadata.Label || "None",
         TimeStamp: record.metadata.TimeStamp || Date.now(),
         liked: record.metadata.liked !== undefined ? record.metadata.liked : false,
-        fileName: record.metadata.fileName || params.id,
+        fileName: record.metadata.fileName || key,
         fileSize: record.metadata.fileSize || 0,
     };
+    // The value holds the chunk manifest of chunked files and must survive metadata updates
+    const value = record.value || "";
 
     // Handle based on ListType and Label
     if (metadata.ListType === "White") {
-        return response;
-    } else if (metadata.ListType === "Block" || metadata.Label === "adult") {
+        if (countView(request, metadata, validators)) {
+            await env.img_url.put(key, value, { metadata });
+        }
+        return serve();
+    } else if (metadata.ListType === "Block" || metadata.ListType === "Pending" || metadata.Label === "adult") {
         const referer = request.headers.get('Referer');
         const redirectUrl = referer ? "https://static-res.pages.dev/teleimage/img-block-compressed.png" : `${url.origin}/block-img.html`;
         return Response.redirect(redirectUrl, 302);
@@ -89,67 +205,109 @@ export async function onRequest(context) {
         return Response.redirect(`${url.origin}/whitelist-on.html`, 302);
     }
 
-    // If no metadata or further actions required, moderate content and add to KV if needed
-    if (env.ModerateContentApiKey) {
-        try {
-            console.log("Starting content moderation...");
-            const moderateUrl = `https://api.moderatecontent.com/moderate/?key=${env.ModerateContentApiKey}&url=https://telegra.ph${url.pathname}${url.search}`;
-            const moderateResponse = await fetch(moderateUrl);
-
-            if (!moderateResponse.ok) {
-                console.error("Content moderation API request failed: " + moderateResponse.status);
-            } else {
-                const moderateData = await moderateResponse.json();
-                console.log("Content moderation results:", moderateData);
-
-                if (moderateData && moderateData.rating_label) {
-                    metadata.Label = moderateData.rating_label;
-
-                    if (moderateData.rating_label === "adult") {
-                        console.log("Content marked as adult, saving metadata and redirecting");
-                        await env.img_url.put(params.id, "", { metadata });
-                        return Response.redirect(`${url.origin}/block-img.html`, 302);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error("Error during content moderation: " + error.message);
-            // Moderation failure should not affect user experience, continue processing
+    // Chunked uploads carry neither Label nor moderationScore until they are checked on
+    // their first view. Every other record has a Label, older ones are not checked again
+    if (record.metadata.Label === undefined && record.metadata.moderationScore === undefined && getProvider(env)) {
+        const fields = await moderateFile(env, url.origin, key, metadata, { served: true });
+        if (!fields) {
+            // The provider failed (or the file is no image): keep it unchecked for the next view
+            delete metadata.Label;
+        }
+        Object.assign(metadata, fields);
+        if (metadata.ListType === "Pending" || metadata.Label === "adult") {
+            await env.img_url.put(key, value, { metadata });
+            return Response.redirect(`${url.origin}/block-img.html`, 302);
         }
     }
 
-    // Only save metadata if content is not adult content
-    // Adult content cases are already handled above and will not reach this point
-    console.log("Saving metadata");
-    await env.img_url.put(params.id, "", { metadata });
+    countView(request, metadata, validators);
+
+    // Only save metadata if content is not adult or pending review
+    // Those cases are already handled above and will not reach this point
+    // Skip the write when nothing changed, KV writes are far more limited than reads
+    if (!isSameMetadata(record.metadata, metadata)) {
+        await env.img_url.put(key, value, { metadata });
+    }
 
     // Return file content
-    return response;
+    return serve();
 }
 
-async function getFilePath(env, file_id) {
-    try {
-        const url = `https://api.telegram.org/bot${env.TG_Bot_Token}/getFile?file_id=${file_id}`;
-        const res = await fetch(url, {
-            method: 'GET',
-        });
+/**
+ * Stream the parts listed in the chunk manifest back as a single response.
+ * With a range only the parts overlapping it are downloaded, and the result
+ * is a 206 response. The first part is fetched before responding so that a
+ * broken manifest surfaces as an error status instead of a truncated body.
+ */
+async function fetchChunkedFile(env, record, range) {
+    const { chunks } = JSON.parse(record.value);
+    // Every part was sent by the bot recorded in the metadata
+    const { fileType, fileSize, fileName, botId } = record.metadata;
+    const { start, end } = range || { start: 0, end: fileSize - 1 };
 
-        if (!res.ok) {
-            console.error(`HTTP error! status: ${res.status}`);
-            return null;
+    // Work out which bytes of each part fall inside [start, end]
+    const parts = [];
+    let offset = 0;
+    for (const chunk of chunks) {
+        const chunkEnd = offset + chunk.size - 1;
+        if (chunkEnd >= start && offset <= end) {
+            parts.push({ chunk, start: Math.max(start - offset, 0), end: Math.min(end, chunkEnd) - offset });
         }
+        offset += chunk.size;
+    }
 
-        const responseData = await res.json();
-        const { ok, result } = responseData;
+    const first = await fetchTelegramFile(env, parts[0].chunk.fileId, undefined, botId);
+    if (!first.ok) {
+        return new Response('Failed to load file chunk', { status: 502 });
+    }
 
-        if (ok && result) {
-            return result.file_path;
-        } else {
-            console.error('Error in response data:', responseData);
-            return null;
+    const length = end - start + 1;
+    const { readable, writable } = new FixedLengthStream(length);
+    const pump = async () => {
+        for (let i = 0; i < parts.length; i++) {
+            const part = i === 0 ? first : await fetchTelegramFile(env, parts[i].chunk.fileId, undefined, botId);
+            if (!part.ok) {
+                throw new Error(`Failed to load file chunk: ${part.status}`);
+            }
+            await sliceStream(part.body, parts[i].start, parts[i].end).pipeTo(writable, { preventClose: true });
         }
-    } catch (error) {
-        console.error('Error fetching file path:', error.message);
-        return null;
+        await writable.close();
+    };
+    pump().catch(error => {
+        console.error('Error streaming chunked file:', error.message);
+        writable.abort(error);
+    });
+
+    const headers = {
+        'Content-Type': fileType || 'application/octet-stream',
+        'Content-Length': String(length),
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'Accept-Ranges': 'bytes',
+    };
+    if (range) {
+        headers['Content-Range'] = `bytes ${start}-${end}/${fileSize}`;
     }
-}
\ No newline at end of file
+    return new Response(readable, { status: range ? 206 : 200, headers });
+}
+
+/**
+ * Count a view of a file limited to maxViews. Follow-up range requests
+ * (video seeking) and revalidations of a cached copy are part of a view
+ * already counted. Returns whether the metadata changed.
+ */
+function countView(request, metadata, validators) {
+    if (!metadata.maxViews || request.method !== 'GET') return false;
+    const range = request.headers.get('Range');
+    if (range && !/^bytes=0-/.test(range.trim())) return false;
+    if (isNotModified(request, validators.etag, validators.lastModified)) return false;
+    metadata.views = (metadata.views || 0) + 1;
+    return true;
+}
+
+function isSameMetadata(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+        if (a[key] !== b[key]) return false;
+    }
+    return true;
+}
@@ -1,218 +1,336 @@
 // functions/upload.js
 import { errorHandling, telemetryData } from './utils/middleware';
+import { authorizeApiKey, getRequestApiKey } from './utils/apikeys';
+import { getFileSecret, getRequestToken, verifySession } from './utils/auth';
+import { jsonResponse } from './utils/http';
+import { storeFile } from './utils/upload';
+import { addAlbumFiles, getAlbum } from './utils/albums';
+import { checkUploadFiles, checkUploadQuota, getClientId, isAllowedType, recordUpload } from './utils/limits';
+
+// 单次请求最多上传的文件数，每个文件都需要多次调用 Telegram 和 KV
+const MAX_FILES = 10;
+
+// 远程链接 / base64 上传的默认限制
+const DEFAULT_REMOTE_MAX_SIZE = 20 * 1024 * 1024;
+const DEFAULT_REMOTE_ALLOWED_TYPES = 'image/,video/,audio/';
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/svg+xml': 'svg',
+    'image/x-icon': 'ico',
+    'audio/mpeg': 'mp3',
+    'video/quicktime': 'mov',
+};
+
+/**
+ * 带 HTTP 状态码的上传错误，用于向客户端返回 4xx
+ */
+class UploadError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.status = status;
+    }
+}
 
 /**
  * 主请求处理器 (POST)
- * 仅处理文件上传 ('multipart/form-data')
+ * 支持三种上传方式：
+ * - multipart/form-data，文件放在 file 字段，可以包含多个 file 字段一次上传多个文件
+ * - JSON { "url": "https://...", "fileName": "可选" }，由服务端下载远程文件后转存
+ * - JSON { "data": "data:image/png;base64,...", "fileName": "可选" }，如剪贴板中的图片
+ * 表单或 JSON 中的 album 字段为相册 ID 时，上传的文件会加入该相册
+ * 表单或 JSON 中的 expiresIn（秒）和 maxViews 可以让链接在到期或达到访问次数后失效
+ * 表单或 JSON 中的 private 为 true 时，文件只能通过签名链接访问
+ * 匿名上传受 utils/limits.js 中的频率、大小、类型和每日总量限制，已登录的管理员和 API Key 不受限制
  */
-export async function onRequestPost(context) {
+async function handleUpload(context) {
     const { request, env } = context;
 
     try {
-        const clonedRequest = request.clone();
-        const formData = await clonedRequest.formData();
+        const session = env.img_url && await verifySession(env, getRequestToken(request));
+        let apiKeyAuthorized = false;
 
-        // 运行中间件
-        await errorHandling(context);
-        telemetryData(context);
-
-        const uploadFile = formData.get('file');
-        if (!uploadFile) {
-            throw new Error('No file uploaded');
+        // 开启 UPLOAD_REQUIRE_API_KEY 后，只有持有 upload 权限 API Key 的客户端或已登录的管理员可以上传
+        // 未开启时携带的 API Key 同样会被校验，用于免除匿名上传的限制
+        const apiKey = getRequestApiKey(request);
+        if (!session && (apiKey || env.UPLOAD_REQUIRE_API_KEY === 'true')) {
+            const result = await authorizeApiKey(env, apiKey, 'upload');
+            if (result.error) {
+                return jsonResponse({ error: result.error }, result.status);
+            }
+            apiKeyAuthorized = true;
         }
 
-        const fileName = uploadFile.name;
-        const fileExtension = fileName.split('.').pop().toLowerCase();
-
-        // 创建 Telegram 上传表单
-        const telegramFormData = new FormData();
-        telegramFormData.append("chat_id", env.TG_Chat_ID);
-
-        // 根据文件类型选择合适的上传方式
-        let apiEndpoint;
-        if (uploadFile.type.startsWith('image/')) {
-            telegramFormData.append("photo", uploadFile);
-            apiEndpoint = 'sendPhoto';
-        } else if (uploadFile.type.startsWith('audio/')) {
-            telegramFormData.append("audio", uploadFile);
-            apiEndpoint = 'sendAudio';
-        } else if (uploadFile.type.startsWith('video/')) {
-            telegramFormData.append("video", uploadFile);
-            apiEndpoint = 'sendVideo';
-        } else {
-            telegramFormData.append("document", uploadFile);
-            apiEndpoint = 'sendDocument';
+        // 在读取请求体之前先检查频率和每日总量，被限制的客户端不会触发远程下载
+        const anonymous = !session && !apiKeyAuthorized;
+        const clientId = getClientId(request);
+        if (anonymous) {
+            const limited = await checkUploadQuota(env, clientId);
+            if (limited) {
+                return limitedResponse(limited);
+            }
         }
 
-        // 上传到 Telegram
-        const result = await sendToTelegram(telegramFormData, apiEndpoint, env);
-        if (!result.success) {
-            throw new Error(result.error);
+        const clonedRequest = request.clone();
+        const { files, album, expiresIn, maxViews, isPrivate } = await readUpload(clonedRequest, env);
+        if (anonymous) {
+            const limited = checkUploadFiles(env, files) || await checkUploadQuota(env, clientId, files);
+            if (limited) {
+                return limitedResponse(limited);
+            }
+        }
+        const options = parseExpiry(env, expiresIn, maxViews);
+        if (isPrivate) {
+            // 私有标记保存在 KV 中，没有 KV 时文件会被公开访问
+            if (!env.img_url) {
+                throw new UploadError('Private files require the img_url KV binding', 400);
+            }
+            // 私有文件只能通过签名链接访问，没有密钥时既无法签出也无法校验
+            if (!getFileSecret(env)) {
+                throw new UploadError('Private files require AUTH_SECRET', 400);
+            }
+            options.private = true;
         }
 
-        const fileId = getFileId(result.data);
-        if (!fileId) {
-            throw new Error('Failed to get file ID');
+        // 只有管理员或持有 API Key 的客户端可以向相册中添加文件
+        if (album) {
+            if (!env.img_url) {
+                throw new UploadError('Albums require the img_url KV binding', 400);
+            }
+            if (env.BASIC_USER && !session && !apiKeyAuthorized) {
+                const result = await authorizeApiKey(env, getRequestApiKey(request), 'upload');
+                if (result.error) {
+                    return jsonResponse({ error: result.error }, result.status);
+                }
+            }
+            if (!await getAlbum(env, album)) {
+                throw new UploadError('Album not found', 404);
+            }
         }
 
-        // 构建文件访问链接
-        const fileUrl = `/file/${fileId}.${fileExtension}`;
-        const fullUrl = `${new URL(request.url).origin}${fileUrl}`;
-
-        // 保存到 KV 存储
-        if (env.img_url) {
-            await env.img_url.put(`${fileId}.${fileExtension}`, "", {
-                metadata: {
-                    TimeStamp: Date.now(),
-                    ListType: "None",
-                    Label: "None",
-                    liked: false,
-                    fileName: fileName,
-                    fileSize: uploadFile.size,
-                    fileType: uploadFile.type,
-                    uploadedAt: new Date().toISOString()
+        const origin = new URL(request.url).origin;
+        const results = [];
+        const keys = [];
+        let storedBytes = 0;
+        for (const uploadFile of files) {
+            try {
+                const { src, key, duplicate } = await storeFile(env, origin, uploadFile, options);
+                keys.push(key);
+                if (!duplicate) {
+                    storedBytes += uploadFile.size;
                 }
-            });
+                // 相同内容的文件已存在时返回原有链接
+                results.push(duplicate ? { 'src': src, 'duplicate': true } : { 'src': src });
+            } catch (error) {
+                // 单个文件上传失败时按原有方式返回错误，多个文件时不影响其他文件
+                if (files.length === 1) throw error;
+                console.error('Upload error:', error);
+                results.push({ 'fileName': uploadFile.name, 'error': error.message });
+            }
+        }
+        if (anonymous) {
+            await recordUpload(env, clientId, keys.length, storedBytes);
+        }
+        if (keys.length === 0) {
+            throw new Error(results[0].error);
         }
 
-        // 发送文件访问链接通知
-        await sendFileNotification(env, {
-            fileName,
-            fileSize: uploadFile.size,
-            fileUrl: fullUrl,
-            fileType: uploadFile.type,
-            fileId: fileId
-        });
+        if (album) {
+            await addAlbumFiles(env, album, keys);
+        }
 
         // 返回成功响应给上传客户端
-        return new Response(
-            JSON.stringify([{ 'src': fileUrl }]),
-            { status: 200, headers: { 'Content-Type': 'application/json' } }
-        );
+        return jsonResponse(results);
 
     } catch (error) {
         console.error('Upload error:', error);
         return new Response(
             JSON.stringify({ error: error.message }),
-            { status: 500, headers: { 'Content-Type': 'application/json' } }
+            { status: error.status || 500, headers: { 'Content-Type': 'application/json' } }
         );
     }
 }
 
+// 上传接口不在 functions/api 下，遥测中间件在这里挂载
+export const onRequestPost = [errorHandling, telemetryData, handleUpload];
 
 /**
- * 发送文件访问链接通知到 Telegram
+ * 超出上传限制时的响应，429 带有 Retry-After
  */
-async function sendFileNotification(env, fileInfo) {
-    const { fileName, fileSize, fileUrl, fileType, fileId } = fileInfo;
-    
-    if (env.DISABLE_NOTIFICATION === 'true') {
-        return;
-    }
-
-    const formatFileSize = (bytes) => {
-        if (bytes < 1024) return `${bytes} B`;
-        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
-        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
-    };
-
-    const getFileIcon = (type) => {
-        if (type.startsWith('image/')) return '🖼️';
-        if (type.startsWith('video/')) return '🎬';
-        if (type.startsWith('audio/')) return '🎵';
-        if (type.includes('pdf')) return '📄';
-        if (type.includes('zip') || type.includes('rar') || type.includes('7z')) return '📦';
-        return '📎';
-    };
+function limitedResponse({ status, error, retryAfter }) {
+    return jsonResponse({ error }, status, retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+}
 
-    const message = `
-🎉 **文件上传成功！**
+/**
+ * 从请求中读取待上传的文件和目标相册：表单中的 file 字段，或 JSON 中的远程链接 / base64 数据
+ */
+async function readUpload(request, env) {
+    const contentType = request.headers.get('Content-Type') || '';
 
-${getFileIcon(fileType)} **文件名：** \`${fileName}\`
-📏 **大小：** ${formatFileSize(fileSize)}
-🆔 **文件ID：** \`${fileId}\`
-🔗 **访问链接：** [点击访问](${fileUrl})
+    if (!contentType.includes('application/json')) {
+        const formData = await request.formData();
+        const files = formData.getAll('file').filter(file => typeof file !== 'string');
+        if (files.length === 0) {
+            throw new UploadError('No file uploaded', 400);
+        }
+        if (files.length > MAX_FILES) {
+            throw new UploadError(`At most ${MAX_FILES} files per request`, 400);
+        }
+        return {
+            files,
+            album: formData.get('album') || null,
+            expiresIn: formData.get('expiresIn'),
+            maxViews: formData.get('maxViews'),
+            isPrivate: formData.get('private') === 'true',
+        };
+    }
 
-\`\`\`
-${fileUrl}
-\`\`\`
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        throw new UploadError('Invalid JSON body', 400);
+    }
 
-_通过 Telegraph-Image 上传_
-    `.trim();
+    const maxSize = parseInt(env.REMOTE_UPLOAD_MAX_SIZE, 10) || DEFAULT_REMOTE_MAX_SIZE;
+    const allowedTypes = (env.REMOTE_UPLOAD_ALLOWED_TYPES || DEFAULT_REMOTE_ALLOWED_TYPES).split(',').map(type => type.trim()).filter(Boolean);
 
-    const notificationChatId = env.NOTIFICATION_CHAT_ID || env.TG_Chat_ID;
-    const apiUrl = `https://api.telegram.org/bot${env.TG_Bot_Token}/sendMessage`;
-    
-    try {
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                chat_id: notificationChatId,
-                text: message,
-                parse_mode: 'Markdown',
-                disable_web_page_preview: false,
-                reply_markup: {
-                    inline_keyboard: [
-                        [
-                            { text: '🔗 直接访问', url: fileUrl }
-                        ]
-                    ]
-                }
-            })
-        });
-
-        const result = await response.json();
-        if (!response.ok) {
-            console.error('Failed to send notification:', result);
-        } else {
-            console.log('File notification sent successfully');
+    let blob;
+    let fileName = typeof body?.fileName === 'string' ? body.fileName.trim() : '';
+    if (typeof body?.url === 'string') {
+        blob = await fetchRemoteFile(body.url, maxSize);
+        if (!fileName) {
+            const segment = new URL(body.url).pathname.split('/').pop() || '';
+            try {
+                fileName = decodeURIComponent(segment);
+            } catch (error) {
+                // 路径中的转义序列不完整（如 %E4%B8），直接使用原始文件名
+                fileName = segment;
+            }
         }
-    } catch (error) {
-        console.error('Error sending file notification:', error);
+    } else if (typeof body?.data === 'string') {
+        blob = decodeDataUri(body.data, maxSize);
+    } else {
+        throw new UploadError('Expected a "url" or a base64 "data" field', 400);
+    }
+
+    if (!isAllowedType(blob.type, allowedTypes)) {
+        throw new UploadError(`Content type not allowed: ${blob.type || 'unknown'}`, 415);
     }
-}
 
-// --- 以下是未作修改的辅助函数 ---
+    // 没有扩展名时根据 MIME 类型补全，文件链接依赖扩展名
+    if (!fileName) {
+        fileName = 'upload';
+    }
+    if (!fileName.includes('.')) {
+        const subtype = blob.type.split('/')[1] || 'bin';
+        fileName += '.' + (EXTENSIONS[blob.type] || subtype.replace(/[^a-z0-9]/gi, ''));
+    }
 
-function getFileId(response) {
-    if (!response.ok || !response.result) return null;
-    const result = response.result;
-    if (result.photo) return result.photo.reduce((prev, current) => (prev.file_size > current.file_size) ? prev : current).file_id;
-    if (result.document) return result.document.file_id;
-    if (result.video) return result.video.file_id;
-    if (result.audio) return result.audio.file_id;
-    return null;
+    const album = typeof body.album === 'string' && body.album ? body.album : null;
+    return {
+        files: [new File([blob], fileName, { type: blob.type })],
+        album,
+        expiresIn: body.expiresIn,
+        maxViews: body.maxViews,
+        isPrivate: body.private === true || body.private === 'true',
+    };
 }
 
-async function sendToTelegram(formData, apiEndpoint, env, retryCount = 0) {
-    const MAX_RETRIES = 2;
-    const apiUrl = `https://api.telegram.org/bot${env.TG_Bot_Token}/${apiEndpoint}`;
+/**
+ * 校验 expiresIn（秒）和 maxViews，返回传给 storeFile 的 { expiresAt, maxViews }
+ * 过期和访问次数记录在 KV 中，没有 KV 时无法使用
+ */
+function parseExpiry(env, expiresIn, maxViews) {
+    const options = {};
+    if (expiresIn !== undefined && expiresIn !== null && expiresIn !== '') {
+        const seconds = Number(expiresIn);
+        if (!Number.isInteger(seconds) || seconds <= 0) {
+            throw new UploadError('expiresIn must be a positive number of seconds', 400);
+        }
+        options.expiresAt = Date.now() + seconds * 1000;
+    }
+    if (maxViews !== undefined && maxViews !== null && maxViews !== '') {
+        const views = Number(maxViews);
+        if (!Number.isInteger(views) || views <= 0) {
+            throw new UploadError('maxViews must be a positive integer', 400);
+        }
+        options.maxViews = views;
+    }
+    if ((options.expiresAt || options.maxViews) && !env.img_url) {
+        throw new UploadError('Expiring links require the img_url KV binding', 400);
+    }
+    return options;
+}
 
+/**
+ * 下载远程文件，超过 maxSize 时立即中止
+ */
+async function fetchRemoteFile(fileUrl, maxSize) {
+    let url;
     try {
-        const response = await fetch(apiUrl, { method: "POST", body: formData });
-        const responseData = await response.json();
+        url = new URL(fileUrl);
+    } catch (error) {
+        throw new UploadError('Invalid url', 400);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new UploadError('Only http(s) urls are supported', 400);
+    }
 
-        if (response.ok) {
-            return { success: true, data: responseData };
-        }
+    let response;
+    try {
+        response = await fetch(url.toString(), { redirect: 'follow' });
+    } catch (error) {
+        throw new UploadError(`Failed to fetch remote file: ${error.message}`, 502);
+    }
+    if (!response.ok) {
+        throw new UploadError(`Failed to fetch remote file: HTTP ${response.status}`, 502);
+    }
 
-        if (retryCount < MAX_RETRIES && apiEndpoint === 'sendPhoto') {
-            console.log('Retrying image as document...');
-            const newFormData = new FormData();
-            newFormData.append('chat_id', formData.get('chat_id'));
-            newFormData.append('document', formData.get('photo'));
-            return await sendToTelegram(newFormData, 'sendDocument', env, retryCount + 1);
+    const declaredSize = parseInt(response.headers.get('Content-Length'), 10);
+    if (declaredSize > maxSize) {
+        throw new UploadError(`Remote file exceeds the ${maxSize} bytes limit`, 413);
+    }
+
+    // Content-Length 可能缺失或不准确，读取时再次检查大小
+    const chunks = [];
+    let size = 0;
+    const reader = response.body.getReader();
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.byteLength;
+        if (size > maxSize) {
+            await reader.cancel();
+            throw new UploadError(`Remote file exceeds the ${maxSize} bytes limit`, 413);
         }
+        chunks.push(value);
+    }
+
+    const type = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    return new Blob(chunks, { type });
+}
 
-        return { success: false, error: responseData.description || 'Upload to Telegram failed' };
+/**
+ * 解析 data:<type>;base64,<data> 格式的数据
+ */
+function decodeDataUri(dataUri, maxSize) {
+    const match = /^data:([\w.+-]+\/[\w.+-]+)?((?:;[^;,]*)*);base64,(.*)$/s.exec(dataUri.trim());
+    if (!match) {
+        throw new UploadError('data must be a base64 data URI', 400);
+    }
+
+    const base64 = match[3].replace(/\s/g, '');
+    if (Math.floor(base64.length * 3 / 4) > maxSize) {
+        throw new UploadError(`File exceeds the ${maxSize} bytes limit`, 413);
+    }
+
+    let binary;
+    try {
+        binary = atob(base64);
     } catch (error) {
-        console.error('Network error:', error);
-        if (retryCount < MAX_RETRIES) {
-            await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-            return await sendToTelegram(formData, apiEndpoint, env, retryCount + 1);
-        }
-        return { success: false, error: 'Network error occurred' };
+        throw new UploadError('Invalid base64 data', 400);
     }
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+    return new Blob([bytes], { type: (match[1] || 'application/octet-stream').toLowerCase() });
 }
@@ -0,0 +1,192 @@
+// Albums: named collections of files, shared through a public gallery page.
+// An album is an "album:<id>" record; the file list lives in the value since
+// it can outgrow the 1024 byte metadata limit
+
+import { getSecret, hmac, timingSafeEqual, toBase64Url } from './auth';
+import { isFileKey, listAllKeys } from './kv';
+
+const ALBUM_PREFIX = 'album:';
+export const MAX_NAME_LENGTH = 100;
+const PASSWORD_ITERATIONS = 100000;
+// Gallery visitors stay unlocked for a week after entering the password
+const ACCESS_TTL = 7 * 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+async function hashPassword(password, salt) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSWORD_ITERATIONS },
+    key,
+    256,
+  );
+  return toBase64Url(bits);
+}
+
+async function passwordMetadata(password) {
+  const salt = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, hash: await hashPassword(password, salt) };
+}
+
+/**
+ * The album as returned by the API: the password hash is replaced by a
+ * `protected` flag.
+ */
+export function publicAlbum(album) {
+  const { password, ...rest } = album;
+  return { ...rest, protected: Boolean(password) };
+}
+
+export async function getAlbum(env, id) {
+  const record = await env.img_url.getWithMetadata(ALBUM_PREFIX + id);
+  if (!record.metadata) return null;
+  const { files } = record.value ? JSON.parse(record.value) : { files: [] };
+  return { id, ...record.metadata, files };
+}
+
+async function saveAlbum(env, album) {
+  const { id, files, ...metadata } = album;
+  metadata.count = files.length;
+  metadata.updatedAt = Date.now();
+  await env.img_url.put(ALBUM_PREFIX + id, JSON.stringify({ files }), { metadata });
+  return { id, ...metadata, files };
+}
+
+export async function createAlbum(env, { name, password }) {
+  const album = {
+    id: toBase64Url(crypto.getRandomValues(new Uint8Array(9))),
+    name,
+    createdAt: Date.now(),
+    files: [],
+  };
+  if (password) {
+    album.password = await passwordMetadata(password);
+  }
+  return saveAlbum(env, album);
+}
+
+export async function listAlbums(env) {
+  const keys = await listAllKeys(env, { prefix: ALBUM_PREFIX });
+  return keys.map(({ name, metadata }) => publicAlbum({ id: name.substring(ALBUM_PREFIX.length), ...metadata }));
+}
+
+/**
+ * Rename the album and/or change its password; a null or empty password
+ * removes the protection. Returns null when the album does not exist.
+ */
+export async function updateAlbum(env, id, { name, password }) {
+  const album = await getAlbum(env, id);
+  if (!album) return null;
+  if (name !== undefined) {
+    album.name = name;
+  }
+  if (password !== undefined) {
+    if (password) {
+      album.password = await passwordMetadata(password);
+    } else {
+      delete album.password;
+    }
+  }
+  return saveAlbum(env, album);
+}
+
+/**
+ * Delete the album, the files themselves are kept.
+ */
+export async function deleteAlbum(env, id) {
+  const album = await getAlbum(env, id);
+  if (!album) return false;
+  await env.img_url.delete(ALBUM_PREFIX + id);
+  return true;
+}
+
+/**
+ * Add files to the album, keeping their order and skipping those already in it.
+ * Keys without a file record are not added and are returned as `missing`.
+ */
+export async function addAlbumFiles(env, id, keys) {
+  const album = await getAlbum(env, id);
+  if (!album) return null;
+
+  const missing = [];
+  for (const key of keys) {
+    if (album.files.includes(key)) continue;
+    const record = isFileKey(key) ? await env.img_url.getWithMetadata(key) : {};
+    if (record.metadata) {
+      album.files.push(key);
+    } else {
+      missing.push(key);
+    }
+  }
+  return { album: await saveAlbum(env, album), missing };
+}
+
+export async function removeAlbumFiles(env, id, keys) {
+  const album = await getAlbum(env, id);
+  if (!album) return null;
+  album.files = album.files.filter(key => !keys.includes(key));
+  return saveAlbum(env, album);
+}
+
+/**
+ * Point every album at the new keys of renamed files, `renames` maps old
+ * keys to new ones. Returns the number of albums changed.
+ */
+export async function renameAlbumFiles(env, renames) {
+  if (renames.size === 0) return 0;
+  let changed = 0;
+  for (const { id } of await listAlbums(env)) {
+    const album = await getAlbum(env, id);
+    if (!album || !album.files.some(key => renames.has(key))) continue;
+    album.files = album.files.map(key => renames.get(key) || key);
+    await saveAlbum(env, album);
+    changed++;
+  }
+  return changed;
+}
+
+export async function checkAlbumPassword(album, password) {
+  if (!album.password) return true;
+  if (typeof password !== 'string') return false;
+  return timingSafeEqual(await hashPassword(password, album.password.salt), album.password.hash);
+}
+
+export function albumCookieName(album) {
+  return `tg_album_${album.id}`;
+}
+
+/**
+ * Cookie value granting access to a protected album, "<expires>.<signature>".
+ * The salt is signed as well so changing the password locks visitors out again.
+ */
+export async function createAlbumAccess(env, album) {
+  const expiresAt = Date.now() + ACCESS_TTL * 1000;
+  const signature = await hmac(getSecret(env), `album:${album.id}:${album.password.salt}:${expiresAt}`);
+  return { value: `${expiresAt}.${signature}`, maxAge: ACCESS_TTL };
+}
+
+export async function verifyAlbumAccess(env, album, value) {
+  if (!album.password) return true;
+  const [expiresAt, signature] = (value || '').split('.');
+  if (!signature || !(Number(expiresAt) > Date.now())) return false;
+  const expected = await hmac(getSecret(env), `album:${album.id}:${album.password.salt}:${expiresAt}`);
+  return timingSafeEqual(signature, expected);
+}
+
+/**
+ * The album's files with their metadata, in album order. Files deleted since
+ * they were added are left out.
+ */
+export async function getAlbumFiles(env, album) {
+  const files = [];
+  for (let i = 0; i < album.files.length; i += 10) {
+    const batch = album.files.slice(i, i + 10);
+    const records = await Promise.all(batch.map(key => env.img_url.getWithMetadata(key)));
+    records.forEach((record, index) => {
+      if (record.metadata) {
+        files.push({ name: batch[index], metadata: record.metadata });
+      }
+    });
+  }
+  return files;
+}
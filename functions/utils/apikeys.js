@@ -0,0 +1,122 @@
+// Scoped API keys for programmatic access (uploads, listing, management)
+// Only the SHA-256 of a key is stored; the key itself is shown once at creation
+
+import { listAllKeys } from './kv';
+
+const APIKEY_PREFIX = 'apikey:';
+const KEY_PREFIX = 'tgi_';
+
+/**
+ * upload  POST /upload
+ * list    GET /api/manage/list, /api/manage/check and /api/manage/stats
+ * manage  every /api/manage endpoint except API key management
+ */
+export const SCOPES = ['upload', 'list', 'manage'];
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * API key sent by the client: "X-API-Key: <key>" or "Authorization: Bearer <key>".
+ */
+export function getRequestApiKey(request) {
+  const header = request.headers.get('X-API-Key');
+  if (header) return header.trim();
+  const Authorization = request.headers.get('Authorization') || '';
+  const token = Authorization.startsWith('Bearer ') ? Authorization.substring(7).trim() : null;
+  return isApiKey(token) ? token : null;
+}
+
+/**
+ * Create a key. `quota` caps the number of requests it may authorize,
+ * `expiresIn` is a lifetime in seconds; both are optional.
+ * Returns the plain key together with the stored record.
+ */
+export async function createApiKey(env, { name, scopes, quota, expiresIn }) {
+  const random = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(24))))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  const key = KEY_PREFIX + random;
+  const id = await sha256Hex(key);
+
+  const record = {
+    name: name || 'Unnamed',
+    scopes,
+    quota: quota || null,
+    used: 0,
+    expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+    createdAt: Date.now(),
+    preview: key.substring(0, KEY_PREFIX.length + 4),
+  };
+  const options = { metadata: record };
+  if (expiresIn) {
+    // Let KV drop the record some time after it expired
+    options.expiration = Math.ceil(record.expiresAt / 1000) + 24 * 60 * 60;
+  }
+  await env.img_url.put(APIKEY_PREFIX + id, "", options);
+  return { key, id, ...record };
+}
+
+export async function listApiKeys(env) {
+  const keys = await listAllKeys(env, { prefix: APIKEY_PREFIX });
+  return keys.map(({ name, metadata }) => ({ id: name.substring(APIKEY_PREFIX.length), ...metadata }));
+}
+
+export async function revokeApiKey(env, id) {
+  const record = await env.img_url.getWithMetadata(APIKEY_PREFIX + id);
+  if (!record.metadata) return false;
+  await env.img_url.delete(APIKEY_PREFIX + id);
+  return true;
+}
+
+/**
+ * Check a key for `scope` (or any of several scopes) and count the use against its quota.
+ * Returns { key } on success, otherwise { status, error } with the HTTP
+ * status to answer: 401 unknown or expired, 403 missing scope, 429 quota used up.
+ * The usage counter is best effort and only kept for keys with a quota:
+ * concurrent requests may be counted once.
+ */
+export async function authorizeApiKey(env, key, scope) {
+  if (!key || !env.img_url) {
+    return { status: 401, error: 'API key required' };
+  }
+
+  const id = await sha256Hex(key);
+  const record = await env.img_url.getWithMetadata(APIKEY_PREFIX + id);
+  const metadata = record.metadata;
+  if (!metadata) {
+    return { status: 401, error: 'Invalid API key' };
+  }
+  if (metadata.expiresAt && metadata.expiresAt <= Date.now()) {
+    return { status: 401, error: 'API key expired' };
+  }
+  const accepted = [].concat(scope);
+  if (!accepted.some(name => metadata.scopes.includes(name))) {
+    return { status: 403, error: `API key lacks the ${accepted.join(' or ')} scope` };
+  }
+  if (metadata.quota && metadata.used >= metadata.quota) {
+    return { status: 429, error: 'API key quota exhausted' };
+  }
+
+  // Only keys with a quota are counted: KV allows about one write per second
+  // to a key, and clients sharing an unlimited key upload in parallel
+  if (metadata.quota) {
+    metadata.used = (metadata.used || 0) + 1;
+    const options = { metadata };
+    if (metadata.expiresAt) {
+      options.expiration = Math.ceil(metadata.expiresAt / 1000) + 24 * 60 * 60;
+    }
+    // A failed count must not fail the request
+    try {
+      await env.img_url.put(APIKEY_PREFIX + id, "", options);
+    } catch (error) {
+      console.error('Failed to count API key use:', error);
+    }
+  }
+  return { key: { id, ...metadata } };
+}
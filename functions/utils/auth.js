@@ -0,0 +1,195 @@
+// Admin sessions: signed, expiring tokens backed by a KV record so they can be revoked
+
+export const SESSION_COOKIE = 'tg_session';
+const SESSION_PREFIX = 'session:';
+const DEFAULT_SESSION_TTL = 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+export function toBase64Url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Secret used to sign tokens: AUTH_SECRET, or one derived from the bot
+ * token and the dashboard credentials when it is not configured.
+ */
+export function getSecret(env) {
+  return env.AUTH_SECRET || `${env.TG_Bot_Token}:${env.BASIC_USER}:${env.BASIC_PASS}`;
+}
+
+export async function hmac(secret, data) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toBase64Url(await crypto.subtle.sign('HMAC', key, encoder.encode(data)));
+}
+
+/**
+ * Compare two strings without leaking where they differ. Both sides are
+ * hashed first so the comparison always runs over the same length.
+ */
+export async function timingSafeEqual(a, b) {
+  const [x, y] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(String(a))),
+    crypto.subtle.digest('SHA-256', encoder.encode(String(b))),
+  ]);
+  const bytesA = new Uint8Array(x);
+  const bytesB = new Uint8Array(y);
+  let diff = 0;
+  for (let i = 0; i < bytesA.length; i++) {
+    diff |= bytesA[i] ^ bytesB[i];
+  }
+  return diff === 0;
+}
+
+export async function checkCredentials(env, user, pass) {
+  // Evaluate both comparisons so the timing does not reveal which one failed
+  const [userOk, passOk] = await Promise.all([
+    timingSafeEqual(user, env.BASIC_USER),
+    timingSafeEqual(pass, env.BASIC_PASS),
+  ]);
+  return userOk && passOk;
+}
+
+/**
+ * Decode "Authorization: Basic ..." into { user, pass }, or null when the
+ * header is missing or malformed.
+ */
+export function parseBasicAuth(request) {
+  const Authorization = request.headers.get('Authorization');
+  if (!Authorization) return null;
+
+  const [scheme, encoded] = Authorization.split(' ');
+  // The Authorization header must start with Basic, followed by a space.
+  if (!encoded || scheme !== 'Basic') return null;
+
+  // Decodes the base64 value and performs unicode normalization.
+  // @see https://datatracker.ietf.org/doc/html/rfc7613#section-3.3.2 (and #section-4.2.2)
+  let decoded;
+  try {
+    const buffer = Uint8Array.from(atob(encoded), character => character.charCodeAt(0));
+    decoded = new TextDecoder().decode(buffer).normalize();
+  } catch (error) {
+    return null;
+  }
+
+  // The user & password are split by the first colon and MUST NOT contain control characters.
+  // @see https://tools.ietf.org/html/rfc5234#appendix-B.1 (=> "CTL = %x00-1F / %x7F")
+  const index = decoded.indexOf(':');
+  if (index === -1 || /[\0-\x1F\x7F]/.test(decoded)) return null;
+
+  return {
+    user: decoded.substring(0, index),
+    pass: decoded.substring(index + 1),
+  };
+}
+
+export function getCookie(request, cookieName) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const cookie of cookies.split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === cookieName) return value.join('=');
+  }
+  return null;
+}
+
+/**
+ * Token sent by the client: "Authorization: Bearer <token>" or the session cookie.
+ */
+export function getRequestToken(request) {
+  const Authorization = request.headers.get('Authorization') || '';
+  if (Authorization.startsWith('Bearer ')) {
+    return Authorization.substring(7).trim();
+  }
+  return getCookie(request, SESSION_COOKIE);
+}
+
+function getSessionTtl(env) {
+  const ttl = parseInt(env.SESSION_TTL, 10);
+  // KV expirations must be at least 60 seconds
+  return ttl >= 60 ? ttl : DEFAULT_SESSION_TTL;
+}
+
+/**
+ * Create a session and return its token: "<id>.<expires>.<signature>".
+ * The KV record expires with the token; deleting it revokes the session.
+ */
+export async function createSession(env) {
+  const ttl = getSessionTtl(env);
+  const id = toBase64Url(crypto.getRandomValues(new Uint8Array(18)));
+  const expiresAt = Date.now() + ttl * 1000;
+
+  await env.img_url.put(SESSION_PREFIX + id, "", {
+    expirationTtl: ttl,
+    metadata: { createdAt: Date.now(), expiresAt },
+  });
+
+  const payload = `${id}.${expiresAt}`;
+  const token = `${payload}.${await hmac(getSecret(env), payload)}`;
+  return { token, expiresAt, ttl };
+}
+
+/**
+ * Return the session of a token, or null if it is forged, expired or revoked.
+ */
+export async function verifySession(env, token) {
+  if (!token) return null;
+  const [id, expiresAt, signature] = token.split('.');
+  if (!id || !expiresAt || !signature) return null;
+
+  const expected = await hmac(getSecret(env), `${id}.${expiresAt}`);
+  if (!await timingSafeEqual(signature, expected)) return null;
+  if (Number(expiresAt) <= Date.now()) return null;
+
+  const record = await env.img_url.getWithMetadata(SESSION_PREFIX + id);
+  if (!record.metadata) return null;
+  return { id, ...record.metadata };
+}
+
+export async function revokeSession(env, token) {
+  const session = await verifySession(env, token);
+  if (session) {
+    await env.img_url.delete(SESSION_PREFIX + session.id);
+  }
+}
+
+export function sessionCookie(token, maxAge) {
+  return `${SESSION_COOKIE}=${token}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+export function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Strict`;
+}
+
+/**
+ * Secret for signed file links, which hand out files nobody else may read:
+ * AUTH_SECRET, or the derived secret only when none of its parts is empty.
+ * Null when neither is available, links are then neither signed nor accepted.
+ */
+export function getFileSecret(env) {
+  if (env.AUTH_SECRET) return env.AUTH_SECRET;
+  if (!env.TG_Bot_Token || !env.BASIC_USER || !env.BASIC_PASS) return null;
+  return getSecret(env);
+}
+
+/**
+ * Link to /file/<key> that bypasses the access checks until it expires,
+ * e.g. to let a moderation service download a file that is not public yet.
+ */
+export async function signFileUrl(env, origin, key, ttl) {
+  const secret = getFileSecret(env);
+  if (!secret) {
+    throw new Error('Signed links require AUTH_SECRET');
+  }
+  const exp = Math.floor(Date.now() / 1000) + ttl;
+  const sig = await hmac(secret, `file:${key}:${exp}`);
+  return `${origin}/file/${key}?exp=${exp}&sig=${sig}`;
+}
+
+export async function verifyFileUrl(env, key, searchParams) {
+  const exp = parseInt(searchParams.get('exp'), 10);
+  const sig = searchParams.get('sig');
+  const secret = getFileSecret(env);
+  if (!secret || !sig || !(exp > Date.now() / 1000)) return false;
+  return timingSafeEqual(sig, await hmac(secret, `file:${key}:${exp}`));
+}
@@ -0,0 +1,231 @@
+// Export and import of the img_url namespace, for backups and for moving a
+// library to another account. A dump holds one record per KV key:
+// { key, value, metadata }. The value matters for chunked files (their chunk
+// manifest) and for most internal records, so it is part of every record.
+// Formats: JSON Lines, or CSV with a few readable columns plus the value and
+// the metadata as JSON for the round trip
+
+import { isFileKey } from './kv';
+
+export const FORMATS = ['jsonl', 'csv'];
+export const POLICIES = ['skip', 'overwrite', 'newest'];
+
+// Short-lived records that are never exported nor imported
+const VOLATILE_PREFIXES = ['session:', 'ratelimit:', 'quota:', 'bot:'];
+// Credentials are exported for the record but never imported: a made-up
+// "apikey:" record would mint a key without going through /api/manage/apikeys
+const CREDENTIAL_PREFIXES = ['session:', 'apikey:'];
+const CSV_COLUMNS = ['key', 'fileName', 'fileType', 'fileSize', 'TimeStamp', 'ListType', 'Label', 'liked', 'value', 'metadata'];
+const MAX_KEY_SIZE = 512;
+const MAX_METADATA_SIZE = 1024;
+// Values are read in parallel batches while exporting
+const READ_CONCURRENCY = 10;
+
+/**
+ * Stream every record as `format`, following the KV cursor page by page.
+ * Only file records unless `all` is set, which adds albums, API keys, hash
+ * index, trash, statistics and the aliases of migrated files.
+ */
+export function exportRecords(env, format, { all = false } = {}) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  const pump = async () => {
+    if (format === 'csv') {
+      await writer.write(encoder.encode(CSV_COLUMNS.join(',') + '\n'));
+    }
+    let cursor;
+    do {
+      const page = await env.img_url.list({ cursor });
+      const keys = page.keys.filter(key => all ? !isVolatile(key.name) : isFileKey(key.name));
+      for (let i = 0; i < keys.length; i += READ_CONCURRENCY) {
+        const records = await Promise.all(keys.slice(i, i + READ_CONCURRENCY).map(key => readRecord(env, key)));
+        const lines = records.map(record => format === 'csv' ? toCsvLine(record) : JSON.stringify(record));
+        await writer.write(encoder.encode(lines.map(line => line + '\n').join('')));
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    await writer.close();
+  };
+  pump().catch(error => {
+    console.error('Export failed:', error);
+    writer.abort(error);
+  });
+  return readable;
+}
+
+/**
+ * Parse a dump into records, one per line (JSON Lines) or CSV row.
+ * Returns [{ line, record } | { line, error }], line numbers start at 1
+ * and count the CSV header.
+ */
+export function parseDump(text, format) {
+  const rows = format === 'csv' ? splitCsvRows(text) : text.split('\n').map((line, index) => ({ line: index + 1, text: line }));
+  const entries = [];
+  let header = null;
+  for (const row of rows) {
+    if (!row.text.trim()) continue;
+    try {
+      if (format === 'csv') {
+        const fields = parseCsvRow(row.text);
+        if (!header) {
+          header = fields;
+          continue;
+        }
+        entries.push({ line: row.line, record: validateRecord(fromCsvFields(header, fields)) });
+      } else {
+        entries.push({ line: row.line, record: validateRecord(JSON.parse(row.text)) });
+      }
+    } catch (error) {
+      entries.push({ line: row.line, error: error.message });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Write one record according to the conflict policy when the key exists:
+ * skip keeps the stored record, overwrite replaces it, newest keeps the one
+ * changed last. Returns created, overwritten or skipped; nothing is written
+ * on a dry run.
+ */
+export async function importRecord(env, record, policy, dryRun) {
+  const existing = await env.img_url.getWithMetadata(record.key);
+  const exists = existing.value !== null || existing.metadata !== null;
+
+  let outcome = 'created';
+  if (exists) {
+    if (policy === 'skip') return 'skipped';
+    if (policy === 'newest' && recordTime(record.metadata) <= recordTime(existing.metadata)) return 'skipped';
+    outcome = 'overwritten';
+  }
+  if (!dryRun) {
+    await env.img_url.put(record.key, record.value, record.metadata ? { metadata: record.metadata } : {});
+  }
+  return outcome;
+}
+
+async function readRecord(env, key) {
+  const metadata = key.metadata || null;
+  // File records only carry a value when they are chunked
+  const needsValue = !isFileKey(key.name) || (metadata && metadata.chunked);
+  const value = needsValue ? (await env.img_url.get(key.name)) || "" : "";
+  return { key: key.name, value, metadata };
+}
+
+function isVolatile(name) {
+  return VOLATILE_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+/**
+ * Last change of a record: files and albums carry updatedAt once edited,
+ * trashed files their deletion time, untouched files their upload time.
+ */
+function recordTime(metadata) {
+  if (!metadata) return 0;
+  return metadata.updatedAt || metadata.deletedAt || metadata.TimeStamp || metadata.createdAt || 0;
+}
+
+function validateRecord(record) {
+  if (!record || typeof record !== 'object') {
+    throw new Error('Record must be an object');
+  }
+  const { key, value = "", metadata = null } = record;
+  if (typeof key !== 'string' || !key || new TextEncoder().encode(key).length > MAX_KEY_SIZE) {
+    throw new Error(`key must be a string of 1 to ${MAX_KEY_SIZE} bytes`);
+  }
+  if (isVolatile(key) || CREDENTIAL_PREFIXES.some(prefix => key.startsWith(prefix))) {
+    throw new Error(`Records under ${key.split(':')[0]}: are not imported`);
+  }
+  if (typeof value !== 'string') {
+    throw new Error('value must be a string');
+  }
+  if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    throw new Error('metadata must be an object');
+  }
+  if (metadata && JSON.stringify(metadata).length > MAX_METADATA_SIZE) {
+    throw new Error(`metadata exceeds ${MAX_METADATA_SIZE} bytes`);
+  }
+  return { key, value, metadata };
+}
+
+function toCsvLine({ key, value, metadata }) {
+  const fields = CSV_COLUMNS.map(column => {
+    if (column === 'key') return key;
+    if (column === 'value') return value;
+    if (column === 'metadata') return metadata ? JSON.stringify(metadata) : '';
+    return metadata && metadata[column] !== undefined ? String(metadata[column]) : '';
+  });
+  return fields.map(escapeCsv).join(',');
+}
+
+function fromCsvFields(header, fields) {
+  const row = {};
+  header.forEach((column, index) => { row[column] = fields[index] !== undefined ? fields[index] : ''; });
+  if (!('key' in row) || !('metadata' in row)) {
+    throw new Error('CSV needs key and metadata columns');
+  }
+  return { key: row.key, value: row.value || "", metadata: row.metadata ? JSON.parse(row.metadata) : null };
+}
+
+function escapeCsv(field) {
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Split CSV text into rows, newlines inside quoted fields do not end a row.
+ */
+function splitCsvRows(text) {
+  const rows = [];
+  let start = 0;
+  let line = 1;
+  let rowLine = 1;
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === '\n') {
+      line++;
+      if (!quoted) {
+        rows.push({ line: rowLine, text: text.substring(start, i).replace(/\r$/, '') });
+        start = i + 1;
+        rowLine = line;
+      }
+    }
+  }
+  rows.push({ line: rowLine, text: text.substring(start).replace(/\r$/, '') });
+  return rows;
+}
+
+function parseCsvRow(text) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  fields.push(field);
+  return fields;
+}
@@ -0,0 +1,155 @@
+// Pool of Telegram bots. TG_BOTS lists more bot/chat pairs as JSON:
+//   [{ "token": "123456:AA...", "chatId": "-100..." }, ...]
+// TG_Bot_Token / TG_Chat_ID remain the default bot: it answers the webhook,
+// sends notifications and owns the files stored before the pool existed.
+// A file_id only resolves with the bot that created it, so file records keep
+// the id of their bot as "botId" (the numeric part of its token, which is public).
+// Uploads are spread at random over the bots that are not cooling down. A bot
+// answering 429 or 5xx, or not answering at all, cools down and the upload
+// moves on to the next one. Health lives in "bot:<id>" records.
+
+const BOT_PREFIX = 'bot:';
+// Cooldown when Telegram does not say how long to wait (retry_after)
+const DEFAULT_COOLDOWN = 60;
+// Failures stay visible to admins for a day
+const HEALTH_TTL = 24 * 60 * 60;
+
+/**
+ * Configured bots as [{ id, token, chatId }], the default bot first.
+ * The same bot may post to several chats.
+ */
+export function getBots(env) {
+  const bots = [];
+  const add = (token, chatId) => {
+    if (!token) return;
+    chatId = chatId ? String(chatId) : null;
+    if (bots.some(bot => bot.token === token && bot.chatId === chatId)) return;
+    bots.push({ id: String(token).split(':')[0], token, chatId });
+  };
+
+  add(env.TG_Bot_Token, env.TG_Chat_ID);
+  if (env.TG_BOTS) {
+    let pool;
+    try {
+      pool = JSON.parse(env.TG_BOTS);
+    } catch (error) {
+      pool = null;
+    }
+    if (!Array.isArray(pool)) {
+      throw new Error('TG_BOTS must be a JSON array of { token, chatId }');
+    }
+    for (const entry of pool) {
+      add(entry && entry.token, entry && entry.chatId);
+    }
+  }
+  return bots;
+}
+
+/**
+ * Bot that created a file, from the botId of its record. Records without
+ * one belong to the default bot. Null when the bot is no longer configured.
+ */
+export function getBot(env, botId) {
+  const bots = getBots(env);
+  if (!botId) return bots[0] || null;
+  return bots.find(bot => bot.id === String(botId)) || null;
+}
+
+/**
+ * Bots to try for an upload, in order: the available ones shuffled, then those
+ * cooling down, the soonest back first. A cooling bot is still worth a try
+ * when every other one failed. Returns { bots, health }.
+ */
+export async function getUploadBots(env, now = Date.now()) {
+  const health = await readHealth(env);
+  const bots = getBots(env).filter(bot => bot.chatId);
+  const coolingUntil = bot => (health[bot.id] && health[bot.id].cooldownUntil) || 0;
+
+  const available = shuffle(bots.filter(bot => coolingUntil(bot) <= now));
+  const cooling = bots.filter(bot => coolingUntil(bot) > now).sort((a, b) => coolingUntil(a) - coolingUntil(b));
+  return { bots: [...available, ...cooling], health };
+}
+
+/**
+ * Whether a failed send (a TelegramError) should move on to the next bot:
+ * rate limits, server errors and network errors (no code). Other errors
+ * (file too large, bad chat, ...) would fail the same way on every bot.
+ */
+export function isRetryable(error) {
+  return !error.code || error.code === 429 || error.code >= 500;
+}
+
+/**
+ * Put a bot on cooldown after a retryable failure.
+ */
+export async function reportFailure(env, bot, error, health = {}, now = Date.now()) {
+  if (!env.img_url) return;
+  const cooldown = error.retryAfter > 0 ? error.retryAfter : DEFAULT_COOLDOWN;
+  const previous = health[bot.id] || {};
+  const metadata = {
+    cooldownUntil: now + cooldown * 1000,
+    failures: (previous.failures || 0) + 1,
+    lastStatus: error.code || null,
+    lastError: String(error.message).substring(0, 200),
+    lastFailureAt: now,
+  };
+  health[bot.id] = metadata;
+  await env.img_url.put(BOT_PREFIX + bot.id, "", { metadata, expirationTtl: HEALTH_TTL });
+}
+
+/**
+ * Clear the failure count of a bot that recovered. Healthy bots cost no write.
+ */
+export async function reportSuccess(env, bot, health = {}, now = Date.now()) {
+  const previous = health[bot.id];
+  if (!env.img_url || !previous || !previous.failures) return;
+  const metadata = { ...previous, cooldownUntil: 0, failures: 0, recoveredAt: now };
+  health[bot.id] = metadata;
+  await env.img_url.put(BOT_PREFIX + bot.id, "", { metadata, expirationTtl: HEALTH_TTL });
+}
+
+/**
+ * Health of every configured bot, without tokens:
+ * [{ id, chatId, default, healthy, cooldownUntil, failures, lastStatus, lastError, lastFailureAt, recoveredAt }]
+ */
+export async function getBotHealth(env, now = Date.now()) {
+  const health = await readHealth(env);
+  return getBots(env).map((bot, index) => {
+    const state = health[bot.id] || {};
+    return {
+      id: bot.id,
+      chatId: bot.chatId,
+      default: index === 0,
+      healthy: !(state.cooldownUntil > now),
+      cooldownUntil: state.cooldownUntil || null,
+      failures: state.failures || 0,
+      lastStatus: state.lastStatus || null,
+      lastError: state.lastError || null,
+      lastFailureAt: state.lastFailureAt || null,
+      recoveredAt: state.recoveredAt || null,
+    };
+  });
+}
+
+/**
+ * Health records of the configured bots by id. Their ids are known, so each
+ * record is read by key: a get is cheaper than a list and sees recent writes.
+ */
+async function readHealth(env) {
+  if (!env.img_url) return {};
+  const ids = [...new Set(getBots(env).map(bot => bot.id))];
+  const records = await Promise.all(ids.map(id => env.img_url.getWithMetadata(BOT_PREFIX + id)));
+  const health = {};
+  ids.forEach((id, index) => {
+    if (records[index].metadata) health[id] = records[index].metadata;
+  });
+  return health;
+}
+
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
@@ -0,0 +1,63 @@
+// Edge caching through the Workers Cache API (caches.default)
+// Note: the Cache API only takes effect on a custom domain, on *.pages.dev every lookup misses
+
+// Cache keys for values that are not HTTP resources of this site (e.g. resolved Telegram file paths)
+const INTERNAL_CACHE_ORIGIN = 'https://telegraph-image.internal';
+
+const DEFAULT_CACHE_CONTROL = 'public, max-age=86400';
+
+function internalCacheKey(namespace, id) {
+  return new Request(`${INTERNAL_CACHE_ORIGIN}/${namespace}/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Read a small text value cached with putCachedText, or null on a miss.
+ */
+export async function getCachedText(namespace, id) {
+  const cached = await caches.default.match(internalCacheKey(namespace, id));
+  return cached ? cached.text() : null;
+}
+
+/**
+ * Cache a small text value for `ttl` seconds.
+ */
+export async function putCachedText(namespace, id, text, ttl) {
+  await caches.default.put(internalCacheKey(namespace, id), new Response(text, {
+    headers: { 'Cache-Control': `max-age=${ttl}` },
+  }));
+}
+
+/**
+ * Cache-Control for served files, configurable per type through
+ * CACHE_CONTROL_IMAGE / CACHE_CONTROL_VIDEO / CACHE_CONTROL_AUDIO and
+ * CACHE_CONTROL_DEFAULT for everything else.
+ */
+export function getCacheControl(env, fileType) {
+  const type = (fileType || '').split('/')[0];
+  const perType = {
+    image: env.CACHE_CONTROL_IMAGE,
+    video: env.CACHE_CONTROL_VIDEO,
+    audio: env.CACHE_CONTROL_AUDIO,
+  }[type];
+  return perType || env.CACHE_CONTROL_DEFAULT || DEFAULT_CACHE_CONTROL;
+}
+
+/**
+ * Look up a cached file response.
+ */
+export async function matchFile(cacheKey) {
+  return await caches.default.match(cacheKey) || null;
+}
+
+/**
+ * Prepare an upstream response for caching and store a copy in the
+ * background. Upstream cookies are dropped since they would make the
+ * response uncacheable and mean nothing to our clients.
+ */
+export function cacheFile(context, cacheKey, response, cacheControl) {
+  response = new Response(response.body, response);
+  response.headers.delete('Set-Cookie');
+  response.headers.set('Cache-Control', cacheControl);
+  context.waitUntil(caches.default.put(cacheKey, response.clone()));
+  return response;
+}
@@ -0,0 +1,32 @@
+// Content-hash deduplication: "hash:<sha256>" records point at the file key
+// that first stored the content, and file records keep their hash in metadata
+
+const HASH_PREFIX = 'hash:';
+
+/**
+ * SHA-256 of a Blob as hex. The file is streamed through the digest so large
+ * uploads are not buffered in memory a second time.
+ */
+export async function hashFile(blob) {
+  const digestStream = new crypto.DigestStream('SHA-256');
+  await blob.stream().pipeTo(digestStream);
+  const digest = await digestStream.digest;
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Key and metadata of the file already stored with this hash, or null.
+ * An index entry whose file was deleted or made private since is treated as
+ * a miss, a private link must not be handed out as a public one.
+ */
+export async function findDuplicate(env, hash) {
+  const key = await env.img_url.get(HASH_PREFIX + hash);
+  if (!key) return null;
+  const record = await env.img_url.getWithMetadata(key);
+  if (!record.metadata || record.metadata.private) return null;
+  return { key, metadata: record.metadata };
+}
+
+export async function rememberHash(env, hash, key) {
+  await env.img_url.put(HASH_PREFIX + hash, key);
+}
@@ -0,0 +1,37 @@
+// Expiring and burn-after-read files: the metadata carries "expiresAt" (ms
+// timestamp) and/or "maxViews" with a "views" counter. Expired files answer
+// 410 Gone until the cleanup purges them, then their tombstone does
+
+import { listFileKeys } from './kv';
+import { purgeLiveFile } from './trash';
+
+export function isExpiring(metadata) {
+  return Boolean(metadata && (metadata.expiresAt || metadata.maxViews));
+}
+
+export function isExpired(metadata, now = Date.now()) {
+  if (!metadata) return false;
+  if (metadata.expiresAt && metadata.expiresAt <= now) return true;
+  return Boolean(metadata.maxViews) && (metadata.views || 0) >= metadata.maxViews;
+}
+
+/**
+ * Purge up to `limit` expired files: their Telegram messages are deleted and
+ * the record replaced with a tombstone, skipping the trash. The tombstone is
+ * written even when Telegram refuses to delete the message (e.g. the bot lacks
+ * the permission), so the link stays dead.
+ * Returns { deleted: [{ name, messages, error? }], remaining }.
+ */
+export async function cleanupExpiredFiles(env, limit) {
+  const expired = (await listFileKeys(env)).filter(key => isExpired(key.metadata));
+
+  const deleted = [];
+  for (const key of expired.slice(0, limit)) {
+    const record = await env.img_url.getWithMetadata(key.name);
+    if (!record.metadata) continue;
+
+    deleted.push({ name: key.name, ...await purgeLiveFile(env, key.name, record) });
+  }
+
+  return { deleted, remaining: Math.max(expired.length - limit, 0) };
+}
@@ -0,0 +1,120 @@
+// Hotlink protection: which sites may embed files, decided from the Referer
+// (or the Origin of fetch requests). The global policy comes from the
+// environment, a file may override parts of it through its "hotlink" metadata
+
+export const HOTLINK_ACTIONS = ['403', 'placeholder', 'redirect'];
+export const EMPTY_REFERER_MODES = ['allow', 'deny'];
+
+// Overrides live in the KV metadata, which is limited to 1024 bytes in total
+const MAX_OVERRIDE_SIZE = 400;
+
+/**
+ * Policy for a file: { referers, emptyReferer, action }. `referers` is null
+ * when no allow-list is configured, which turns the protection off.
+ *
+ * HOTLINK_ALLOWED_REFERERS   comma separated domains, "*.example.com" matches subdomains
+ * HOTLINK_EMPTY_REFERER      allow (default) or deny requests without a Referer
+ * HOTLINK_ACTION             403 (default), placeholder or redirect
+ */
+export function getHotlinkPolicy(env, metadata) {
+  const override = (metadata && metadata.hotlink) || {};
+  const referers = override.referers || splitList(env.HOTLINK_ALLOWED_REFERERS);
+  return {
+    referers: referers.length ? referers : null,
+    emptyReferer: override.emptyReferer || env.HOTLINK_EMPTY_REFERER || 'allow',
+    action: override.action || env.HOTLINK_ACTION || '403',
+  };
+}
+
+/**
+ * Whether the policy lets this request through. Pages of the site itself
+ * (admin, albums, ...) are always allowed.
+ */
+export function isHotlinkAllowed(policy, request, origin) {
+  if (!policy.referers) return true;
+
+  const source = request.headers.get('Referer') || request.headers.get('Origin');
+  if (!source) return policy.emptyReferer !== 'deny';
+
+  let url;
+  try {
+    url = new URL(source);
+  } catch (error) {
+    return false;
+  }
+  if (url.origin === origin) return true;
+  const host = url.hostname.toLowerCase();
+  return policy.referers.some(pattern => matchDomain(pattern, host));
+}
+
+/**
+ * Answer a refused request as the policy says. The placeholder is the static
+ * hotlink.svg served with 200 so that <img> tags display it.
+ */
+export async function hotlinkResponse(env, policy, origin) {
+  if (policy.action === 'placeholder') {
+    const asset = await env.ASSETS.fetch(new Request(`${origin}/hotlink.svg`));
+    return new Response(asset.body, {
+      headers: { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'no-store' },
+    });
+  }
+  if (policy.action === 'redirect') {
+    return Response.redirect(env.HOTLINK_REDIRECT_URL || `${origin}/`, 302);
+  }
+  return new Response('Forbidden', { status: 403, headers: { 'Cache-Control': 'no-store' } });
+}
+
+/**
+ * Validate a per-file override { referers?, emptyReferer?, action? } as sent
+ * to the manage API. `referers` may be an array or a comma separated string,
+ * ["*"] allows every site. Returns { override } or { error }.
+ */
+export function parseHotlinkOverride(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'hotlink must be an object' };
+  }
+
+  const override = {};
+  if (body.referers !== undefined) {
+    const referers = typeof body.referers === 'string' ? splitList(body.referers) : body.referers;
+    if (!Array.isArray(referers) || referers.length === 0 || !referers.every(isDomainPattern)) {
+      return { error: 'referers must be a non-empty list of domains such as example.com or *.example.com' };
+    }
+    override.referers = referers.map(referer => referer.trim().toLowerCase());
+  }
+  if (body.emptyReferer !== undefined) {
+    if (!EMPTY_REFERER_MODES.includes(body.emptyReferer)) {
+      return { error: `emptyReferer must be one of ${EMPTY_REFERER_MODES.join(', ')}` };
+    }
+    override.emptyReferer = body.emptyReferer;
+  }
+  if (body.action !== undefined) {
+    const action = String(body.action);
+    if (!HOTLINK_ACTIONS.includes(action)) {
+      return { error: `action must be one of ${HOTLINK_ACTIONS.join(', ')}` };
+    }
+    override.action = action;
+  }
+
+  if (Object.keys(override).length === 0) {
+    return { error: 'Set at least one of referers, emptyReferer and action' };
+  }
+  if (JSON.stringify(override).length > MAX_OVERRIDE_SIZE) {
+    return { error: 'Hotlink override is too long' };
+  }
+  return { override };
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function isDomainPattern(value) {
+  return typeof value === 'string' && /^(\*|(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*)$/i.test(value.trim());
+}
+
+function matchDomain(pattern, host) {
+  if (pattern === '*') return true;
+  if (pattern.startsWith('*.')) return host.endsWith(pattern.substring(1));
+  return host === pattern;
+}
@@ -0,0 +1,173 @@
+// HTTP helpers: JSON responses and serving file bytes (validators, conditional requests, byte ranges)
+
+const NOT_MODIFIED_HEADERS = ['Cache-Control', 'Content-Location', 'Date', 'ETag', 'Expires', 'Last-Modified', 'Vary'];
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+/**
+ * Build a stable ETag / Last-Modified pair from the KV metadata of a file.
+ * A Telegram file never changes once uploaded, so the key and the upload
+ * time identify its content.
+ */
+export async function getValidators(id, metadata) {
+  if (!metadata || !metadata.TimeStamp) {
+    return {};
+  }
+  const source = `${id}:${metadata.TimeStamp}:${metadata.fileSize || 0}`;
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(source));
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  return {
+    etag: `"${hex.slice(0, 32)}"`,
+    lastModified: new Date(metadata.TimeStamp).toUTCString(),
+  };
+}
+
+/**
+ * Evaluate If-None-Match / If-Modified-Since (RFC 9110 section 13.2.2).
+ * If-Modified-Since is only considered when If-None-Match is absent.
+ */
+export function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    const opaque = etag.replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => {
+      tag = tag.trim();
+      return tag === '*' || tag.replace(/^W\//, '') === opaque;
+    });
+  }
+
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    return !isNaN(since) && Date.parse(lastModified) <= since;
+  }
+  return false;
+}
+
+/**
+ * Parse a Range header against a representation of `size` bytes.
+ * Returns { start, end } for a single satisfiable range, null when the
+ * header is absent or malformed (serve the full body), and false when the
+ * range cannot be served: unsatisfiable offsets or multiple ranges, which
+ * we reject instead of building multipart/byteranges responses.
+ */
+export function parseRange(header, size) {
+  if (!header) return null;
+  if (header.includes(',')) return false;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * Resolve the range to serve for a request, honouring If-Range: a stale
+ * validator means the client gets the full representation instead.
+ */
+export function getRequestedRange(request, size, etag, lastModified) {
+  const ifRange = request.headers.get('If-Range');
+  if (ifRange && ifRange !== etag && ifRange !== lastModified) {
+    return null;
+  }
+  return parseRange(request.headers.get('Range'), size);
+}
+
+export function rangeNotSatisfiable(size) {
+  return new Response(null, {
+    status: 416,
+    headers: { 'Content-Range': `bytes */${size}`, 'Accept-Ranges': 'bytes' },
+  });
+}
+
+/**
+ * Pass through only bytes [start, end] (inclusive) of a stream.
+ */
+export function sliceStream(stream, start, end) {
+  let position = 0;
+  return stream.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      const chunkStart = position;
+      position += chunk.byteLength;
+      if (position <= start || chunkStart > end) return;
+      controller.enqueue(chunk.subarray(Math.max(start - chunkStart, 0), Math.min(end + 1 - chunkStart, chunk.byteLength)));
+    },
+  }));
+}
+
+/**
+ * Turn a full upstream response into the response for this request:
+ * attach validators, answer 304 for fresh client copies and cut out the
+ * requested byte range. Responses that are already partial (chunked files
+ * fetch only the parts they need) just get the validators.
+ * `cacheControl` replaces the upstream Cache-Control, e.g. for expiring files.
+ */
+export function serveFile(request, response, { etag, lastModified, contentType, vary, cacheControl } = {}) {
+  const headers = new Headers(response.headers);
+  if (cacheControl) headers.set('Cache-Control', cacheControl);
+  etag = etag || headers.get('ETag');
+  lastModified = lastModified || headers.get('Last-Modified');
+  if (etag) headers.set('ETag', etag);
+  if (lastModified) headers.set('Last-Modified', lastModified);
+  if (vary) headers.set('Vary', vary);
+  if (contentType && (!headers.get('Content-Type') || headers.get('Content-Type') === 'application/octet-stream')) {
+    headers.set('Content-Type', contentType);
+  }
+
+  if (isNotModified(request, etag, lastModified)) {
+    const notModifiedHeaders = new Headers();
+    for (const name of NOT_MODIFIED_HEADERS) {
+      if (headers.has(name)) notModifiedHeaders.set(name, headers.get(name));
+    }
+    return new Response(null, { status: 304, headers: notModifiedHeaders });
+  }
+
+  const body = request.method === 'HEAD' ? null : response.body;
+  if (response.status === 206 || !headers.has('Content-Length')) {
+    // Without a known length we cannot compute offsets, so ranges are not offered
+    if (!headers.has('Content-Length')) headers.set('Accept-Ranges', 'none');
+    return new Response(body, { status: response.status, headers });
+  }
+
+  headers.set('Accept-Ranges', 'bytes');
+  const size = parseInt(headers.get('Content-Length'), 10);
+  const range = getRequestedRange(request, size, etag, lastModified);
+  if (range === false) {
+    return rangeNotSatisfiable(size);
+  }
+  if (!range) {
+    return new Response(body, { status: response.status, headers });
+  }
+
+  const length = range.end - range.start + 1;
+  headers.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+  headers.set('Content-Length', String(length));
+  if (!body) {
+    return new Response(null, { status: 206, headers });
+  }
+  const { readable, writable } = new FixedLengthStream(length);
+  sliceStream(body, range.start, range.end).pipeTo(writable).catch(error => {
+    console.error('Error slicing file range:', error.message);
+  });
+  return new Response(readable, { status: 206, headers });
+}
@@ -0,0 +1,81 @@
+// Query parameters for on-the-fly image transformations (Cloudflare Image Resizing)
+// e.g. /file/<id>.jpg?w=400&h=300&fit=cover&format=webp&q=80
+
+const DEFAULT_SIZES = [100, 200, 400, 800, 1200, 1600];
+const FITS = ['scale-down', 'contain', 'cover', 'crop', 'pad'];
+const FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+const TRANSFORM_PARAMS = ['w', 'h', 'fit', 'format', 'q'];
+
+function parseSizes(value) {
+  if (!value) return DEFAULT_SIZES;
+  return value.split(',').map(size => parseInt(size, 10)).filter(size => size > 0);
+}
+
+/**
+ * Read the transformation requested by the query string.
+ * Returns null when no transformation is requested (or the feature is off,
+ * IMAGE_TRANSFORM !== 'true'), { error } for invalid or disallowed values,
+ * and otherwise { key, options, vary } where `key` is the normalized query
+ * string used to cache the variant, `options` is passed as `cf.image` to
+ * fetch and `vary` is set when the result depends on the Accept header.
+ * Widths and heights are limited to IMAGE_TRANSFORM_WIDTHS / _HEIGHTS so
+ * clients cannot fill the cache with arbitrary variants.
+ */
+export function parseTransform(env, searchParams, accept) {
+  if (env.IMAGE_TRANSFORM !== 'true') return null;
+  if (!TRANSFORM_PARAMS.some(param => searchParams.has(param))) return null;
+
+  const options = {};
+  let vary = null;
+
+  for (const [param, option, allowed] of [
+    ['w', 'width', parseSizes(env.IMAGE_TRANSFORM_WIDTHS)],
+    ['h', 'height', parseSizes(env.IMAGE_TRANSFORM_HEIGHTS)],
+  ]) {
+    if (!searchParams.has(param)) continue;
+    const size = Number(searchParams.get(param));
+    if (!allowed.includes(size)) {
+      return { error: `Unsupported ${option}, allowed: ${allowed.join(', ')}` };
+    }
+    options[option] = size;
+  }
+
+  if (searchParams.has('fit')) {
+    const fit = searchParams.get('fit');
+    if (!FITS.includes(fit)) {
+      return { error: `Unsupported fit, allowed: ${FITS.join(', ')}` };
+    }
+    options.fit = fit;
+  }
+
+  if (searchParams.has('format')) {
+    let format = searchParams.get('format');
+    if (format === 'auto') {
+      // Resolve "auto" here so the cache key names the format actually served
+      vary = 'Accept';
+      format = /image\/avif/.test(accept) ? 'avif' : /image\/webp/.test(accept) ? 'webp' : null;
+    } else if (!FORMATS.includes(format)) {
+      return { error: `Unsupported format, allowed: auto, ${FORMATS.join(', ')}` };
+    }
+    if (format) options.format = format;
+  }
+
+  if (searchParams.has('q')) {
+    const quality = Number(searchParams.get('q'));
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      return { error: 'Unsupported quality, expected an integer between 1 and 100' };
+    }
+    options.quality = quality;
+  }
+
+  const key = [
+    ['w', options.width],
+    ['h', options.height],
+    ['fit', options.fit],
+    ['format', options.format],
+    ['q', options.quality],
+  ].filter(([, value]) => value !== undefined).map(([param, value]) => `${param}=${value}`).join('&');
+
+  if (!key) return null;
+  return { key, options, vary };
+}
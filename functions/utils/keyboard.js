@@ -0,0 +1,76 @@
+// Inline keyboard of upload notifications: moderators act on a file by pressing
+// its buttons, the webhook maps each press to a management action.
+// callback_data is limited to 64 bytes, too short for file keys, so the buttons
+// only carry the action and the file is read from the link button of the message
+
+const CONFIRM_DELETE = 'delete!';
+
+/**
+ * Keyboard reflecting the current state of the file. With `confirmDelete` the
+ * delete button asks for a second press.
+ */
+export function fileKeyboard(fileUrl, metadata, { confirmDelete = false } = {}) {
+  const mark = (active, text) => (active ? '✔️ ' : '') + text;
+  return {
+    inline_keyboard: [
+      [{ text: '🔗 直接访问', url: fileUrl }],
+      [
+        { text: mark(metadata.ListType === 'Block', '🚫 黑名单'), callback_data: 'block' },
+        { text: mark(metadata.ListType === 'White', '✅ 白名单'), callback_data: 'white' },
+      ],
+      [
+        { text: mark(metadata.liked, '⭐ 收藏'), callback_data: 'like' },
+        { text: mark(metadata.Label === 'adult', '🔞 NSFW'), callback_data: 'adult' },
+        confirmDelete
+          ? { text: '⚠️ 确认删除', callback_data: CONFIRM_DELETE }
+          : { text: '🗑 删除', callback_data: 'delete' },
+      ],
+    ],
+  };
+}
+
+/**
+ * Keyboard left on the message once the file is deleted.
+ */
+export function deletedKeyboard() {
+  return { inline_keyboard: [[{ text: '🗑 已删除', callback_data: 'noop' }]] };
+}
+
+/**
+ * Link and KV key of the file a notification message is about, or null.
+ */
+export function getMessageFile(message) {
+  const rows = (message && message.reply_markup && message.reply_markup.inline_keyboard) || [];
+  for (const button of rows.flat()) {
+    const match = button.url && /\/file\/([^/?#]+)/.exec(button.url);
+    if (match) {
+      return { fileUrl: button.url, key: decodeURIComponent(match[1]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn a button press into { action, options } for applyAction, given the
+ * current metadata. The state buttons toggle: pressing "block" on a blocked
+ * file resets it. A first press on delete only asks for confirmation and
+ * resolves to { confirm: true }; null for unknown data.
+ */
+export function resolveCallback(data, metadata) {
+  switch (data) {
+    case 'block':
+      return { action: metadata.ListType === 'Block' ? 'reset' : 'block' };
+    case 'white':
+      return { action: metadata.ListType === 'White' ? 'reset' : 'white' };
+    case 'like':
+      return { action: metadata.liked ? 'unlike' : 'like' };
+    case 'adult':
+      return { action: 'label', options: { label: metadata.Label === 'adult' ? 'None' : 'adult' } };
+    case 'delete':
+      return { confirm: true };
+    case CONFIRM_DELETE:
+      return { action: 'delete' };
+    default:
+      return null;
+  }
+}
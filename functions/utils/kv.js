@@ -0,0 +1,31 @@
+// Helpers for the img_url KV namespace
+
+/**
+ * Internal records (sessions, ...) share the namespace with the files under
+ * "<kind>:" prefixes. Telegram file ids and telegra.ph names never contain ":".
+ */
+export function isFileKey(name) {
+  return !name.includes(':');
+}
+
+/**
+ * List every key (with metadata) of the img_url namespace, following the
+ * KV cursor across pages of at most 1000 keys.
+ */
+export async function listAllKeys(env, options = {}) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.img_url.list({ ...options, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+/**
+ * List the file records only, leaving out internal records.
+ */
+export async function listFileKeys(env) {
+  return (await listAllKeys(env)).filter(key => isFileKey(key.name));
+}
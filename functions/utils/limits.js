@@ -0,0 +1,154 @@
+// Limits for anonymous uploads: uploads per client and time window, file size
+// and type, and a daily total of uploaded bytes. Logged-in admins and API key
+// holders are not limited, API keys carry their own quota.
+// The counters live in KV under "ratelimit:" and "quota:" keys. KV is
+// eventually consistent, so a burst of parallel requests may get a few uploads
+// past a limit: this slows spam down, it is not an exact count
+
+const RATE_PREFIX = 'ratelimit:';
+const QUOTA_PREFIX = 'quota:';
+
+const DEFAULT_RATE_WINDOW = 60 * 60;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * UPLOAD_RATE_LIMIT           uploaded files per client and window
+ * UPLOAD_RATE_WINDOW          window in seconds, 1 hour by default
+ * UPLOAD_MAX_SIZE             bytes per file
+ * UPLOAD_ALLOWED_TYPES        MIME types, comma separated, "image/" matches a prefix
+ * UPLOAD_ALLOWED_EXTENSIONS   file extensions, comma separated
+ * UPLOAD_DAILY_QUOTA          bytes uploaded by all anonymous clients per UTC day
+ * Unset limits are not enforced.
+ */
+export function getUploadLimits(env) {
+  return {
+    rate: positiveInt(env.UPLOAD_RATE_LIMIT),
+    window: positiveInt(env.UPLOAD_RATE_WINDOW) || DEFAULT_RATE_WINDOW,
+    maxSize: positiveInt(env.UPLOAD_MAX_SIZE),
+    types: splitList(env.UPLOAD_ALLOWED_TYPES),
+    extensions: splitList(env.UPLOAD_ALLOWED_EXTENSIONS).map(extension => extension.replace(/^\./, '')),
+    dailyBytes: positiveInt(env.UPLOAD_DAILY_QUOTA),
+  };
+}
+
+/**
+ * Whether `type` is in the list, entries ending with "/" match a prefix.
+ */
+export function isAllowedType(type, allowed) {
+  return allowed.some(entry => type === entry || (entry.endsWith('/') && type.startsWith(entry)));
+}
+
+/**
+ * Identify the client by its IP. IPv6 clients usually hold a whole /64, so
+ * they are counted per /64 network rather than per address.
+ */
+export function getClientId(request) {
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  if (!ip.includes(':')) return ip;
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':') + '::/64';
+}
+
+/**
+ * Check the counters before `files` (may be empty before the body is read)
+ * are stored. Returns null when the upload may go on, otherwise
+ * { status: 429, error, retryAfter } with retryAfter in seconds.
+ */
+export async function checkUploadQuota(env, clientId, files = [], now = Date.now()) {
+  const limits = getUploadLimits(env);
+  if (!env.img_url) return null;
+
+  if (limits.rate) {
+    const { key, resetAt } = rateWindow(clientId, limits.window, now);
+    const used = parseInt(await env.img_url.get(key), 10) || 0;
+    if (used + Math.max(files.length, 1) > limits.rate) {
+      return {
+        status: 429,
+        error: `Upload rate limit reached: ${limits.rate} files per ${limits.window} seconds`,
+        retryAfter: Math.ceil((resetAt - now) / 1000),
+      };
+    }
+  }
+
+  if (limits.dailyBytes) {
+    const { key, resetAt } = quotaDay(now);
+    const used = parseInt(await env.img_url.get(key), 10) || 0;
+    const size = files.reduce((total, file) => total + file.size, 0);
+    if (used >= limits.dailyBytes || used + size > limits.dailyBytes) {
+      return {
+        status: 429,
+        error: 'Daily upload quota reached',
+        retryAfter: Math.ceil((resetAt - now) / 1000),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the size and type of each file. Returns null or { status, error }:
+ * 413 for a file too large, 415 for a type or extension not allowed.
+ */
+export function checkUploadFiles(env, files) {
+  const limits = getUploadLimits(env);
+  for (const file of files) {
+    if (limits.maxSize && file.size > limits.maxSize) {
+      return { status: 413, error: `${file.name} exceeds the ${limits.maxSize} bytes limit` };
+    }
+    if (limits.types.length && !isAllowedType(file.type, limits.types)) {
+      return { status: 415, error: `Content type not allowed: ${file.type || 'unknown'}` };
+    }
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    if (limits.extensions.length && !limits.extensions.includes(extension)) {
+      return { status: 415, error: `File extension not allowed: ${extension || 'none'}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Count stored files against the client's window and their bytes against the
+ * daily quota. `bytes` leaves out duplicates, which cost no storage.
+ */
+export async function recordUpload(env, clientId, count, bytes, now = Date.now()) {
+  const limits = getUploadLimits(env);
+  if (!env.img_url) return;
+
+  // KV allows about one write per second to a key, a failed count must not fail the upload
+  try {
+    if (limits.rate && count) {
+      const { key, resetAt } = rateWindow(clientId, limits.window, now);
+      const used = parseInt(await env.img_url.get(key), 10) || 0;
+      await env.img_url.put(key, String(used + count), { expiration: Math.ceil(resetAt / 1000) + 60 });
+    }
+    if (limits.dailyBytes && bytes) {
+      const { key, resetAt } = quotaDay(now);
+      const used = parseInt(await env.img_url.get(key), 10) || 0;
+      await env.img_url.put(key, String(used + bytes), { expiration: Math.ceil(resetAt / 1000) + 60 });
+    }
+  } catch (error) {
+    console.error('Failed to record upload:', error);
+  }
+}
+
+function rateWindow(clientId, window, now) {
+  const index = Math.floor(now / (window * 1000));
+  return { key: `${RATE_PREFIX}${clientId}:${index}`, resetAt: (index + 1) * window * 1000 };
+}
+
+function quotaDay(now) {
+  const start = Math.floor(now / DAY) * DAY;
+  return { key: QUOTA_PREFIX + new Date(start).toISOString().substring(0, 10), resetAt: start + DAY };
+}
+
+function positiveInt(value) {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : null;
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
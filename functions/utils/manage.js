@@ -0,0 +1,81 @@
+import { isFileKey } from './kv';
+import { trashFile } from './trash';
+
+// File management actions shared by the /api/manage handlers
+
+/**
+ * Supported actions and how each one changes the metadata:
+ *
+ * block / white / reset  set ListType to Block / White / None
+ * approve / reject       settle a file of the review queue (ListType Pending) as White / Block
+ * like / unlike          set liked
+ * private / public       set private, private files need a signed link
+ * label                  set Label to `options.label`
+ * hotlink                set the hotlink policy override to `options.hotlink`, null removes it
+ * delete                 move the file to the trash, see utils/trash.js
+ */
+export const ACTIONS = {
+  block: metadata => { metadata.ListType = "Block"; },
+  white: metadata => { metadata.ListType = "White"; },
+  reset: metadata => { metadata.ListType = "None"; },
+  approve: metadata => { metadata.ListType = "White"; },
+  reject: metadata => { metadata.ListType = "Block"; },
+  like: metadata => { metadata.liked = true; },
+  unlike: metadata => { metadata.liked = false; },
+  private: metadata => { metadata.private = true; },
+  public: metadata => { delete metadata.private; },
+  label: (metadata, options) => { metadata.Label = options.label; },
+  hotlink: (metadata, options) => {
+    if (options.hotlink) metadata.hotlink = options.hotlink;
+    else delete metadata.hotlink;
+  },
+  delete: null,
+};
+
+/**
+ * Apply a management action to the KV record of one file.
+ * Returns { success: true, metadata } or { success: false, error }.
+ */
+export async function applyAction(env, id, action, options = {}) {
+  if (!(action in ACTIONS)) {
+    return { success: false, error: `Unsupported action: ${action}` };
+  }
+  if (action === 'delete') {
+    const { record, error } = await readFileRecord(env, id);
+    if (error) {
+      return { success: false, error };
+    }
+    await trashFile(env, id, record);
+    return { success: true };
+  }
+  return updateFile(env, id, metadata => ACTIONS[action](metadata, options));
+}
+
+/**
+ * Change the metadata of one file with `update(metadata)`, for edits that are
+ * no bulk action (e.g. renaming). Internal records and unknown keys are
+ * refused like in applyAction. Returns { success: true, metadata } or { success: false, error }.
+ */
+export async function updateFile(env, id, update) {
+  const { record, error } = await readFileRecord(env, id);
+  if (error) {
+    return { success: false, error };
+  }
+  update(record.metadata);
+  // Edit time of the record, imports with policy=newest compare it
+  record.metadata.updatedAt = Date.now();
+  // The value holds the chunk manifest of chunked files and must be kept
+  await env.img_url.put(id, record.value || "", { metadata: record.metadata });
+  return { success: true, metadata: record.metadata };
+}
+
+async function readFileRecord(env, id) {
+  if (!isFileKey(id)) {
+    return { error: `Not a file: ${id}` };
+  }
+  const record = await env.img_url.getWithMetadata(id);
+  if (!record.metadata) {
+    return { error: `Image metadata not found for ID: ${id}` };
+  }
+  return { record };
+}
@@ -1,102 +1,254 @@
+// Opt-in telemetry. Nothing leaves the deployment unless an exporter is configured:
+//   TELEMETRY_SENTRY_DSN      errors and sampled traces go to your own Sentry project
+//   TELEMETRY_OTLP_ENDPOINT   one span per request is exported over OTLP/HTTP (JSON)
+// Without an exporter every request is written to the Functions log as one
+// JSON line. disable_telemetry turns all of it off.
+// Request headers only leave through redactHeaders(), query strings never do
+// since they may carry signed link tokens
+
 import sentryPlugin from "@cloudflare/pages-plugin-sentry";
 import '@sentry/tracing';
 
+// Credentials and client addresses, redacted whatever the configuration
+const REDACTED_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-telegram-bot-api-secret-token',
+  'cf-access-jwt-assertion',
+  'cf-connecting-ip',
+  'cf-connecting-ipv6',
+  'true-client-ip',
+  'x-real-ip',
+  'x-forwarded-for',
+];
+const REDACTED = '[REDACTED]';
+
+const DEFAULT_SAMPLE_RATE = 0.1;
+const DEFAULT_SERVICE_NAME = 'telegraph-image';
+// Request properties from Cloudflare that are safe to report: no geolocation below country
+const CF_FIELDS = ['colo', 'country', 'httpProtocol', 'tlsVersion'];
+
+/**
+ * First middleware of the chain: picks the exporter, reports uncaught errors
+ * and, for OTLP and logs, the outcome of every request.
+ */
 export async function errorHandling(context) {
-  const env = context.env;
-  if (typeof env.disable_telemetry == "undefined" || env.disable_telemetry == null || env.disable_telemetry == "") {
-    context.data.telemetry = true;
-    let remoteSampleRate = 0.001;
-    try {
-      const sampleRate = await fetchSampleRate(context)
-      console.log("sampleRate", sampleRate);
-      //check if the sample rate is not null
-      if (sampleRate) {
-        remoteSampleRate = sampleRate;
-      }
-    } catch (e) { console.log(e) }
-    const sampleRate = env.sampleRate || remoteSampleRate;
-    console.log("sampleRate", sampleRate);
+  const { env } = context;
+  if (env.disable_telemetry) {
+    return context.next();
+  }
+
+  const exporter = getExporter(env);
+  context.data.telemetry = exporter;
+  if (exporter === 'sentry') {
     return sentryPlugin({
-      dsn: "https://219f636ac7bde5edab2c3e16885cb535@o4507041519108096.ingest.us.sentry.io/4507541492727808",
-      tracesSampleRate: sampleRate,
-    })(context);;
+      dsn: env.TELEMETRY_SENTRY_DSN,
+      tracesSampleRate: getSampleRate(env),
+      // Headers are attached by telemetryData after redaction
+      requestDataOptions: { allowedHeaders: [] },
+    })(context);
   }
-  return context.next();
-}
 
-export function telemetryData(context) {
-  const env = context.env;
-  if (typeof env.disable_telemetry == "undefined" || env.disable_telemetry == null || env.disable_telemetry == "") {
-    try {
-      const parsedHeaders = {};
-      context.request.headers.forEach((value, key) => {
-        parsedHeaders[key] = value
-        //check if the value is empty
-        if (value.length > 0) {
-          context.data.sentry.setTag(key, value);
-        }
-      });
-      const CF = JSON.parse(JSON.stringify(context.request.cf));
-      const parsedCF = {};
-      for (const key in CF) {
-        if (typeof CF[key] == "object") {
-          parsedCF[key] = JSON.stringify(CF[key]);
-        } else {
-          parsedCF[key] = CF[key];
-          if (CF[key].length > 0) {
-            context.data.sentry.setTag(key, CF[key]);
-          }
-        }
-      }
-      const data = {
-        headers: parsedHeaders,
-        cf: parsedCF,
-        url: context.request.url,
-        method: context.request.method,
-        redirect: context.request.redirect,
-      }
-      //get the url path
-      const urlPath = new URL(context.request.url).pathname;
-      const hostname = new URL(context.request.url).hostname;
-      context.data.sentry.setTag("path", urlPath);
-      context.data.sentry.setTag("url", data.url);
-      context.data.sentry.setTag("method", context.request.method);
-      context.data.sentry.setTag("redirect", context.request.redirect);
-      context.data.sentry.setContext("request", data);
-      const transaction = context.data.sentry.startTransaction({ name: `${context.request.method} ${hostname}` });
-      //add the transaction to the context
-      context.data.transaction = transaction;
-      return context.next();
-    } catch (e) {
-      console.log(e);
-    } finally {
-      context.data.transaction.finish();
+  const start = Date.now();
+  let response;
+  let error = null;
+  try {
+    response = await context.next();
+    return response;
+  } catch (thrown) {
+    error = thrown;
+    throw thrown;
+  } finally {
+    const outcome = { start, end: Date.now(), status: response ? response.status : 500, error };
+    if (exporter === 'otlp') {
+      exportSpan(context, outcome);
+    } else {
+      logRequest(context, outcome);
     }
   }
-  return context.next();
+}
+
+/**
+ * Second middleware: with Sentry, tags the event and traces the request.
+ */
+export async function telemetryData(context) {
+  const { request, env, data } = context;
+  if (data.telemetry !== 'sentry' || !data.sentry) {
+    return context.next();
+  }
+
+  const url = new URL(request.url);
+  data.sentry.setTag('path', url.pathname);
+  data.sentry.setTag('method', request.method);
+  data.sentry.setContext('request', {
+    method: request.method,
+    path: url.pathname,
+    headers: redactHeaders(env, request.headers),
+    cf: pickCf(request.cf),
+  });
+
+  const transaction = data.sentry.startTransaction({ name: `${request.method} ${url.hostname}` });
+  data.transaction = transaction;
+  try {
+    return await context.next();
+  } finally {
+    transaction.finish();
+  }
 }
 
 export async function traceData(context, span, op, name) {
   const data = context.data
-  if (data.telemetry) {
+  if (data.transaction) {
     if (span) {
-      console.log("span finish")
       span.finish();
     } else {
-      console.log("span start")
-      span = await context.data.transaction.startChild(
+      span = await data.transaction.startChild(
         { op: op, name: name },
       );
     }
   }
 }
 
-async function fetchSampleRate(context) {
-  const data = context.data
-  if (data.telemetry) {
-    const url = "https://frozen-sentinel.pages.dev/signal/sampleRate.json";
-    const response = await fetch(url);
-    const json = await response.json();
-    return json.rate;
+/**
+ * Headers that may be reported, as a plain object.
+ *
+ * TELEMETRY_HEADERS         "none" reports no headers, a comma separated list
+ *                           reports only those; every header by default
+ * TELEMETRY_REDACT_HEADERS  more headers to redact, on top of credentials and client IPs
+ */
+export function redactHeaders(env, headers) {
+  const mode = (env.TELEMETRY_HEADERS || '').trim().toLowerCase();
+  if (mode === 'none') return {};
+  const allowed = splitList(mode);
+  const redacted = [...REDACTED_HEADERS, ...splitList(env.TELEMETRY_REDACT_HEADERS)];
+
+  const result = {};
+  headers.forEach((value, name) => {
+    if (allowed.length && !allowed.includes(name)) return;
+    result[name] = redacted.includes(name) ? REDACTED : value;
+  });
+  return result;
+}
+
+function getExporter(env) {
+  if (env.TELEMETRY_SENTRY_DSN) return 'sentry';
+  if (env.TELEMETRY_OTLP_ENDPOINT) return 'otlp';
+  return 'log';
+}
+
+function getSampleRate(env) {
+  const rate = parseFloat(env.TELEMETRY_SAMPLE_RATE);
+  return rate >= 0 && rate <= 1 ? rate : DEFAULT_SAMPLE_RATE;
+}
+
+/**
+ * Send the request as an OTLP span after the response went out. Failed
+ * requests are always exported, the others according to TELEMETRY_SAMPLE_RATE.
+ */
+function exportSpan(context, { start, end, status, error }) {
+  const { request, env } = context;
+  const failed = Boolean(error) || status >= 500;
+  if (!failed && Math.random() >= getSampleRate(env)) return;
+
+  const url = new URL(request.url);
+  const attributes = {
+    'http.request.method': request.method,
+    'url.scheme': url.protocol.replace(':', ''),
+    'server.address': url.hostname,
+    'url.path': url.pathname,
+    'http.response.status_code': status,
+  };
+  for (const [name, value] of Object.entries(redactHeaders(env, request.headers))) {
+    attributes[`http.request.header.${name}`] = value;
   }
-}
\ No newline at end of file
+  for (const [name, value] of Object.entries(pickCf(request.cf))) {
+    attributes[`cloudflare.${name}`] = value;
+  }
+  if (error) {
+    attributes['exception.message'] = error.message;
+    attributes['exception.stacktrace'] = error.stack || '';
+  }
+
+  const span = {
+    traceId: randomHex(16),
+    spanId: randomHex(8),
+    name: `${request.method} ${url.pathname}`,
+    kind: 2, // SPAN_KIND_SERVER
+    startTimeUnixNano: `${start}000000`,
+    endTimeUnixNano: `${end}000000`,
+    attributes: toOtlpAttributes(attributes),
+    status: failed ? { code: 2, message: error ? error.message : `HTTP ${status}` } : { code: 0 },
+  };
+  const body = {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes({ 'service.name': env.TELEMETRY_SERVICE_NAME || DEFAULT_SERVICE_NAME }) },
+      scopeSpans: [{ scope: { name: DEFAULT_SERVICE_NAME }, spans: [span] }],
+    }],
+  };
+
+  context.waitUntil(fetch(env.TELEMETRY_OTLP_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...parseOtlpHeaders(env.TELEMETRY_OTLP_HEADERS) },
+    body: JSON.stringify(body),
+  }).then(response => {
+    if (!response.ok) console.error('OTLP export failed:', response.status);
+  }).catch(exportError => console.error('OTLP export failed:', exportError.message)));
+}
+
+function logRequest(context, { start, end, status, error }) {
+  const { request } = context;
+  const entry = {
+    level: error || status >= 500 ? 'error' : 'info',
+    message: 'request',
+    method: request.method,
+    path: new URL(request.url).pathname,
+    status,
+    durationMs: end - start,
+    ...pickCf(request.cf),
+  };
+  if (error) {
+    entry.error = error.message;
+    entry.stack = error.stack;
+  }
+  console.log(JSON.stringify(entry));
+}
+
+/**
+ * OTEL_EXPORTER_OTLP_HEADERS format: "name=value,name2=value2", values URL-encoded.
+ */
+function parseOtlpHeaders(value) {
+  const headers = {};
+  for (const pair of (value || '').split(',')) {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      headers[pair.substring(0, index).trim()] = decodeURIComponent(pair.substring(index + 1).trim());
+    }
+  }
+  return headers;
+}
+
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({
+    key,
+    value: typeof value === 'number' ? { intValue: value } : { stringValue: String(value) },
+  }));
+}
+
+function pickCf(cf) {
+  const result = {};
+  for (const field of CF_FIELDS) {
+    if (cf && cf[field] !== undefined) result[field] = cf[field];
+  }
+  return result;
+}
+
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
@@ -0,0 +1,131 @@
+// Migration of the files still hosted on telegra.ph, which no longer accepts
+// uploads and is losing old media. Each legacy file is downloaded, uploaded
+// through the Bot API and its record moved to the new file id. The old key
+// becomes an "alias:<old key>" record whose aliasOf names the new key, so
+// /file/<old key> keeps serving the file. The records are the progress: a run
+// only picks files still on telegra.ph, an interrupted migration resumes with
+// the next call. Files that fail keep their record with a migrationError and
+// are only retried on request.
+
+import { renameAlbumFiles } from './albums';
+import { rememberHash } from './dedup';
+import { listAllKeys, listFileKeys } from './kv';
+import { getFileBackend, fetchStoredFile, uploadToTelegram } from './storage';
+
+const ALIAS_PREFIX = 'alias:';
+// Files migrated per request: each one is downloaded from telegra.ph and sent
+// through the Bot API, a larger batch would exceed the subrequest limit
+export const MAX_MIGRATION_BATCH = 10;
+
+/**
+ * Key a legacy key was migrated to, or null.
+ */
+export async function resolveAlias(env, key) {
+  const record = await env.img_url.getWithMetadata(ALIAS_PREFIX + key);
+  return record.metadata ? record.metadata.aliasOf : null;
+}
+
+/**
+ * Counts of the migration: { pending, failed, migrated }. `failed` files are
+ * part of `pending` but skipped unless retried.
+ */
+export async function getMigrationStatus(env) {
+  const legacy = (await listFileKeys(env)).filter(isLegacyFile);
+  const aliases = await listAllKeys(env, { prefix: ALIAS_PREFIX });
+  return {
+    pending: legacy.length,
+    failed: legacy.filter(hasFailed).length,
+    migrated: aliases.length,
+  };
+}
+
+/**
+ * Migrate up to `limit` legacy files, those that failed before only with
+ * `retryFailed`. Returns { migrated: [{ name, key }], failed: [{ name, error }], remaining }.
+ */
+export async function migrateLegacyFiles(env, limit, { retryFailed = false } = {}) {
+  const due = (await listFileKeys(env)).filter(key => isLegacyFile(key) && (retryFailed || !hasFailed(key)));
+
+  const migrated = [];
+  const failed = [];
+  const renames = new Map();
+  for (const { name } of due.slice(0, limit)) {
+    try {
+      const key = await migrateFile(env, name);
+      migrated.push({ name, key });
+      renames.set(name, key);
+    } catch (error) {
+      console.error(`Migrating ${name} failed:`, error.message);
+      failed.push({ name, error: error.message });
+      await recordFailure(env, name, error);
+    }
+  }
+  await renameAlbumFiles(env, renames);
+  return { migrated, failed, remaining: Math.max(due.length - limit, 0) };
+}
+
+function isLegacyFile(key) {
+  return getFileBackend(key.name, key.metadata) === 'telegraph';
+}
+
+function hasFailed(key) {
+  return Boolean(key.metadata && key.metadata.migrationError);
+}
+
+/**
+ * Copy one file to Telegram and move its record, returns the new key.
+ */
+async function migrateFile(env, key) {
+  const record = await env.img_url.getWithMetadata(key);
+  if (record.value === null) {
+    throw new Error('File record not found');
+  }
+  const { migrationError, migrationFailedAt, ...metadata } = record.metadata || {};
+
+  const response = await fetchStoredFile(env, key, record.metadata);
+  if (!response.ok) {
+    throw new Error(`Download failed: HTTP ${response.status}`);
+  }
+  const fileType = metadata.fileType || response.headers.get('Content-Type') || 'application/octet-stream';
+  const file = new File([await response.blob()], metadata.fileName || key, { type: fileType });
+
+  const { fileId, messageId, botId, chatId, chunks } = await uploadToTelegram(env, file);
+  // The extension of the old key is kept, links only change in their id
+  const newKey = `${fileId}.${key.split('.').pop().toLowerCase()}`;
+  const migratedAt = Date.now();
+  Object.assign(metadata, {
+    fileName: metadata.fileName || key,
+    fileSize: metadata.fileSize || file.size,
+    fileType,
+    storage: 'telegram',
+    chatId,
+    botId,
+    migratedFrom: key,
+    migratedAt,
+  });
+  let value = "";
+  if (messageId) {
+    metadata.messageId = messageId;
+  }
+  if (chunks) {
+    metadata.chunked = true;
+    metadata.chunkCount = chunks.length;
+    value = JSON.stringify({ chunks });
+  }
+
+  await env.img_url.put(newKey, value, { metadata });
+  await env.img_url.put(ALIAS_PREFIX + key, "", { metadata: { aliasOf: newKey, migratedAt } });
+  await env.img_url.delete(key);
+  // Later uploads of the same content get the new link
+  if (metadata.sha256) {
+    await rememberHash(env, metadata.sha256, newKey);
+  }
+  return newKey;
+}
+
+async function recordFailure(env, key, error) {
+  const record = await env.img_url.getWithMetadata(key);
+  if (record.value === null) return;
+  const metadata = { ...record.metadata, migrationError: error.message.substring(0, 200), migrationFailedAt: Date.now() };
+  await env.img_url.put(key, record.value, { metadata });
+}
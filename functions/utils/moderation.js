@@ -0,0 +1,121 @@
+// Content moderation. A provider rates an image and the thresholds turn the
+// rating into metadata: adult content is labelled (and blocked when served),
+// uncertain content waits in the review queue (ListType "Pending")
+
+import { getFileSecret, signFileUrl } from './auth';
+
+// Long enough for a classifier to download the file, short enough to be useless once leaked
+const SIGNED_URL_TTL = 10 * 60;
+const DEFAULT_BLOCK_THRESHOLD = 0.8;
+const DEFAULT_REVIEW_THRESHOLD = 0.5;
+
+/**
+ * Providers receive { url, fileName, fileType } and resolve to { score, label }
+ * where score is the probability (0 to 1) that the image is adult content.
+ *
+ * moderatecontent  api.moderatecontent.com, needs ModerateContentApiKey
+ * webhook          POSTs the file info as JSON to MODERATION_WEBHOOK_URL and
+ *                  expects { "score": 0.12, "label": "everyone" } back
+ * local            no network: file names containing "nsfw" score 1, names
+ *                  containing "review" score 0.6, anything else 0 (for tests)
+ */
+const PROVIDERS = {
+  async moderatecontent(env, file) {
+    const response = await fetch(`https://api.moderatecontent.com/moderate/?key=${env.ModerateContentApiKey}&url=${encodeURIComponent(file.url)}`);
+    if (!response.ok) {
+      throw new Error(`ModerateContent request failed: ${response.status}`);
+    }
+    const data = await response.json();
+    if (data.error_code) {
+      throw new Error(`ModerateContent error: ${data.error}`);
+    }
+    const adult = data.predictions && data.predictions.adult;
+    return {
+      score: typeof adult === 'number' ? adult / 100 : (data.rating_label === 'adult' ? 1 : 0),
+      label: data.rating_label,
+    };
+  },
+
+  async webhook(env, file) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (env.MODERATION_WEBHOOK_TOKEN) {
+      headers['Authorization'] = `Bearer ${env.MODERATION_WEBHOOK_TOKEN}`;
+    }
+    const response = await fetch(env.MODERATION_WEBHOOK_URL, { method: 'POST', headers, body: JSON.stringify(file) });
+    if (!response.ok) {
+      throw new Error(`Moderation webhook failed: ${response.status}`);
+    }
+    const data = await response.json();
+    if (typeof data.score !== 'number' || data.score < 0 || data.score > 1) {
+      throw new Error('Moderation webhook returned no score between 0 and 1');
+    }
+    return { score: data.score, label: data.label };
+  },
+
+  async local(env, file) {
+    const name = (file.fileName || '').toLowerCase();
+    return { score: name.includes('nsfw') ? 1 : name.includes('review') ? 0.6 : 0 };
+  },
+};
+
+/**
+ * Provider selected by MODERATION_PROVIDER, ModerateContent when only its
+ * API key is configured, or null when moderation is off. Moderation stays off
+ * without a secret for signed links (see getFileSecret): the provider could
+ * not download any file and every upload would wait for review.
+ */
+export function getProvider(env) {
+  const name = env.MODERATION_PROVIDER || (env.ModerateContentApiKey ? 'moderatecontent' : null);
+  if (!name) return null;
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown moderation provider: ${name}`);
+  }
+  if (!getFileSecret(env)) {
+    console.error('Content moderation is off: signed links require AUTH_SECRET');
+    return null;
+  }
+  return PROVIDERS[name];
+}
+
+function getThreshold(value, fallback) {
+  const threshold = parseFloat(value);
+  return threshold >= 0 && threshold <= 1 ? threshold : fallback;
+}
+
+/**
+ * Rate the image stored under `key` and return the metadata fields to merge
+ * into its record, or null when moderation is off or the file is no image.
+ * The provider downloads the file through a short-lived signed link so it can
+ * read files that are not served publicly (yet). When the provider fails a new
+ * file goes to the review queue rather than being served unchecked, a file
+ * that was `served` publicly already is left as it is (null) and checked again later.
+ */
+export async function moderateFile(env, origin, key, { fileName, fileType }, { served = false } = {}) {
+  const provider = getProvider(env);
+  if (!provider || (fileType && !fileType.startsWith('image/'))) return null;
+
+  let result;
+  try {
+    const url = await signFileUrl(env, origin, key, SIGNED_URL_TTL);
+    result = await provider(env, { url, fileName, fileType });
+  } catch (error) {
+    console.error('Content moderation failed:', error.message);
+    if (served) return null;
+    return { ListType: "Pending", moderationScore: null };
+  }
+
+  const blockThreshold = getThreshold(env.MODERATION_BLOCK_THRESHOLD, DEFAULT_BLOCK_THRESHOLD);
+  const reviewThreshold = getThreshold(env.MODERATION_REVIEW_THRESHOLD, DEFAULT_REVIEW_THRESHOLD);
+
+  const fields = { moderationScore: Math.round(result.score * 1000) / 1000 };
+  if (result.score >= blockThreshold) {
+    fields.Label = "adult";
+  } else if (result.score >= reviewThreshold) {
+    fields.ListType = "Pending";
+  }
+  // "adult" blocks the file when served, only the block threshold may set it
+  if (result.label && result.label !== "adult" && !fields.Label) {
+    fields.Label = result.label;
+  }
+  return fields;
+}
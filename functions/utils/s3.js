@@ -0,0 +1,119 @@
+// Minimal client for S3-compatible object storage (AWS S3, MinIO, Backblaze B2,
+// the S3 API of R2, ...). Requests are signed with AWS Signature Version 4.
+// Objects are addressed path-style as S3_ENDPOINT/S3_BUCKET/key, or as
+// S3_ENDPOINT/key when S3_BUCKET is empty and the endpoint already names the bucket
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+// Bodies are streamed, hashing them up front would mean buffering every upload
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const DEFAULT_REGION = 'us-east-1';
+
+export function isS3Configured(env) {
+  return Boolean(env.S3_ENDPOINT && env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY);
+}
+
+/**
+ * Send a request signed in the Authorization header, e.g. PUT or DELETE of `key`.
+ */
+export async function s3Request(env, method, key, { body, headers = {} } = {}) {
+  const url = objectUrl(env, key);
+  const amzDate = toAmzDate(new Date());
+  const signedHeaders = {
+    ...lowerCaseKeys(headers),
+    host: url.host,
+    'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signedHeaders).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    names.map(name => `${name}:${String(signedHeaders[name]).trim()}\n`).join(''),
+    names.join(';'),
+    UNSIGNED_PAYLOAD,
+  ].join('\n');
+  const { scope, signature } = await sign(env, amzDate, canonicalRequest);
+
+  const { host, ...sent } = signedHeaders;
+  sent.authorization = `${ALGORITHM} Credential=${env.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+  return fetch(url.toString(), { method, headers: sent, body });
+}
+
+/**
+ * URL of `key` signed in its query string, valid for `expiresIn` seconds.
+ * Presigned GETs can go through fetch() with cf.image options like any other URL.
+ */
+export async function presignS3Url(env, method, key, expiresIn = 3600, now = new Date()) {
+  const url = objectUrl(env, key);
+  const amzDate = toAmzDate(now);
+  const query = {
+    'X-Amz-Algorithm': ALGORITHM,
+    'X-Amz-Credential': `${env.S3_ACCESS_KEY_ID}/${credentialScope(env, amzDate)}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host',
+  };
+  const queryString = Object.keys(query).sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+  const canonicalRequest = [method, url.pathname, queryString, `host:${url.host}\n`, 'host', UNSIGNED_PAYLOAD].join('\n');
+  const { signature } = await sign(env, amzDate, canonicalRequest);
+  return `${url.origin}${url.pathname}?${queryString}&X-Amz-Signature=${signature}`;
+}
+
+function objectUrl(env, key) {
+  const endpoint = env.S3_ENDPOINT.replace(/\/+$/, '');
+  const path = [env.S3_BUCKET, ...key.split('/')].filter(Boolean).map(encodeRfc3986).join('/');
+  return new URL(`${endpoint}/${path}`);
+}
+
+function credentialScope(env, amzDate) {
+  return `${amzDate.substring(0, 8)}/${env.S3_REGION || DEFAULT_REGION}/s3/aws4_request`;
+}
+
+async function sign(env, amzDate, canonicalRequest) {
+  const scope = credentialScope(env, amzDate);
+  const stringToSign = [ALGORITHM, amzDate, scope, toHex(await sha256(canonicalRequest))].join('\n');
+
+  let signingKey = new TextEncoder().encode(`AWS4${env.S3_SECRET_ACCESS_KEY}`);
+  for (const part of scope.split('/')) {
+    signingKey = await hmac(signingKey, part);
+  }
+  return { scope, signature: toHex(await hmac(signingKey, stringToSign)) };
+}
+
+async function hmac(key, message) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message)));
+}
+
+async function sha256(message) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(message)));
+}
+
+function toHex(bytes) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 20130524T000000Z
+ */
+function toAmzDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * encodeURIComponent leaves !'()* alone, SigV4 wants them encoded too.
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function lowerCaseKeys(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    result[name.toLowerCase()] = value;
+  }
+  return result;
+}
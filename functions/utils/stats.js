@@ -0,0 +1,162 @@
+// First-party usage statistics, enabled with STATS_ENABLED=true.
+// Per-file counters live in the metadata of "stats:file:<key>" records so a
+// single list call returns all of them; daily aggregates (views, bandwidth,
+// uploads by type, referers) live in the value of "stats:day:<YYYY-MM-DD>".
+// Every counted view costs two KV writes. Busy sites can record only a share
+// of the views with STATS_SAMPLE_RATE (0-1) and scale them up, the counts are
+// then estimates, the less viewed a file the rougher.
+// Counters are read-modify-write, concurrent views of the same file may be counted once
+
+import { listAllKeys } from './kv';
+
+const FILE_PREFIX = 'stats:file:';
+const DAY_PREFIX = 'stats:day:';
+
+// Daily records are kept for this long, then dropped by KV
+const DAY_RETENTION = 90 * 24 * 60 * 60;
+// Referer hosts kept per day, the least frequent are dropped beyond that
+const MAX_REFERERS = 100;
+export const DIRECT_REFERER = '(direct)';
+
+export function isStatsEnabled(env) {
+  return env.STATS_ENABLED === 'true' && Boolean(env.img_url);
+}
+
+/**
+ * Count a served file: 200 and 206 responses only, so revalidations (304) and
+ * refused requests are left out. Follow-up range requests (video seeking) add
+ * bandwidth but no view. The KV writes run after the response is sent.
+ */
+export function trackView(context, key, request, response) {
+  const { env } = context;
+  if (!isStatsEnabled(env)) return;
+  if (response.status !== 200 && response.status !== 206) return;
+
+  const rate = getSampleRate(env);
+  if (Math.random() >= rate) return;
+
+  const bytes = request.method === 'HEAD' ? 0 : parseInt(response.headers.get('Content-Length'), 10) || 0;
+  const range = request.headers.get('Range');
+  const views = !range || /^bytes=0-/.test(range.trim()) ? 1 / rate : 0;
+  const referer = getRefererHost(request);
+  context.waitUntil(Promise.all([
+    updateFileStats(env, key, views, bytes / rate),
+    updateDay(env, day => {
+      day.views += views;
+      day.bytes += bytes / rate;
+      if (views) {
+        day.referers[referer] = Math.round((day.referers[referer] || 0) + views);
+        trimReferers(day.referers);
+      }
+    }),
+  ]).catch(error => console.error('Failed to record view:', error)));
+}
+
+/**
+ * Count a stored upload by day and MIME type. Duplicates are counted apart
+ * since they cost no storage.
+ */
+export async function trackUpload(env, { fileType, fileSize, duplicate }) {
+  if (!isStatsEnabled(env)) return;
+  try {
+    await updateDay(env, day => {
+      if (duplicate) {
+        day.duplicates++;
+        return;
+      }
+      const type = fileType || 'unknown';
+      day.uploads++;
+      day.uploadBytes += fileSize;
+      day.types[type] = (day.types[type] || 0) + 1;
+    });
+  } catch (error) {
+    console.error('Failed to record upload:', error);
+  }
+}
+
+/**
+ * Daily records of the last `days` days (today included), oldest first.
+ * Days without a record are filled with zeros.
+ */
+export async function getDailyStats(env, days, now = Date.now()) {
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) {
+    dates.push(formatDate(now - i * 24 * 60 * 60 * 1000));
+  }
+  return Promise.all(dates.map(async date => ({ date, ...await readDay(env, date) })));
+}
+
+/**
+ * Per-file counters: [{ name, views, bytes, lastViewedAt }].
+ */
+export async function getFileStats(env) {
+  const keys = await listAllKeys(env, { prefix: FILE_PREFIX });
+  return keys.map(({ name, metadata }) => ({ name: name.substring(FILE_PREFIX.length), ...metadata }));
+}
+
+export async function deleteFileStats(env, key) {
+  await env.img_url.delete(FILE_PREFIX + key);
+}
+
+async function updateFileStats(env, key, views, bytes) {
+  const { metadata } = await env.img_url.getWithMetadata(FILE_PREFIX + key);
+  const stats = metadata || { views: 0, bytes: 0 };
+  await env.img_url.put(FILE_PREFIX + key, "", {
+    metadata: {
+      views: Math.round(stats.views + views),
+      bytes: Math.round(stats.bytes + bytes),
+      lastViewedAt: Date.now(),
+    },
+  });
+}
+
+async function updateDay(env, update) {
+  const date = formatDate(Date.now());
+  const day = await readDay(env, date);
+  update(day);
+  day.views = Math.round(day.views);
+  day.bytes = Math.round(day.bytes);
+  await env.img_url.put(DAY_PREFIX + date, JSON.stringify(day), { expirationTtl: DAY_RETENTION });
+}
+
+async function readDay(env, date) {
+  const stored = await env.img_url.get(DAY_PREFIX + date, { type: 'json' });
+  return {
+    views: 0,
+    bytes: 0,
+    uploads: 0,
+    uploadBytes: 0,
+    duplicates: 0,
+    types: {},
+    referers: {},
+    ...stored,
+  };
+}
+
+function trimReferers(referers) {
+  const hosts = Object.keys(referers);
+  if (hosts.length <= MAX_REFERERS) return;
+  hosts.sort((a, b) => referers[a] - referers[b]);
+  for (const host of hosts.slice(0, hosts.length - MAX_REFERERS)) {
+    delete referers[host];
+  }
+}
+
+function getRefererHost(request) {
+  const referer = request.headers.get('Referer');
+  if (!referer) return DIRECT_REFERER;
+  try {
+    return new URL(referer).hostname.toLowerCase();
+  } catch (error) {
+    return DIRECT_REFERER;
+  }
+}
+
+function getSampleRate(env) {
+  const rate = parseFloat(env.STATS_SAMPLE_RATE);
+  return rate > 0 && rate <= 1 ? rate : 1;
+}
+
+function formatDate(time) {
+  return new Date(time).toISOString().substring(0, 10);
+}
@@ -0,0 +1,391 @@
+// Storage backends. STORAGE_BACKEND picks where new uploads go:
+//   telegram (default)  the channels of the bot pool (see ./bots), files above 20 MB are chunked
+//   r2                  the R2 bucket bound as R2_BUCKET
+//   s3                  any S3-compatible bucket, see ./s3
+// The backend of each file is kept as "storage" in its metadata. Records
+// written before have none: long keys are Telegram file ids, short ones
+// telegra.ph uploads (read only). STORAGE_MIRROR stores a second copy on
+// another backend, recorded as "mirror", which is read when the primary fails.
+//
+// A backend implements:
+//   put(env, key, file)            store a copy, returns the reference kept in metadata
+//   fetch(env, key, ref, init)     Response with the bytes, init may carry cf.image options
+//   remove(env, key, ref, record)  delete the copy, returns the number of objects removed
+//   transforms(env)                whether cf.image options are applied on fetch
+
+import { presignS3Url, s3Request, isS3Configured } from './s3';
+import { getUploadBots, isRetryable, reportFailure, reportSuccess } from './bots';
+import { callTelegram, deleteFileMessages, fetchTelegramFile, getFileId, sendToTelegram, TelegramError } from './telegram';
+
+// getFile of the Bot API only downloads files up to 20 MB, larger files are split into chunks
+const MAX_CHUNK_SIZE = 20 * 1024 * 1024;
+// Presigned reads only have to outlive the fetch that follows
+const PRESIGN_TTL = 300;
+
+const telegram = {
+  async put(env, key, file) {
+    if (file.size > getChunkSize(env)) {
+      throw new Error('File too large for a single Telegram message');
+    }
+    return withUploadBot(env, bot => uploadSingleFile(file, bot));
+  },
+  fetch(env, key, ref, init) {
+    return fetchTelegramFile(env, ref.fileId, init, ref.botId);
+  },
+  async remove(env, key, ref, record) {
+    // As primary the record lists the messages (every part of a chunked file)
+    if (record) return deleteFileMessages(env, record);
+    if (!ref.messageId) return 0;
+    try {
+      await callTelegram(env, 'deleteMessage', { chat_id: ref.chatId || env.TG_Chat_ID, message_id: ref.messageId }, ref.botId);
+    } catch (error) {
+      if (!/message to delete not found/i.test(error.message)) throw error;
+    }
+    return 1;
+  },
+  transforms: () => true,
+};
+
+const telegraph = {
+  async put() {
+    throw new Error('telegra.ph no longer accepts uploads');
+  },
+  fetch(env, key, ref, init) {
+    return fetch(`https://telegra.ph/file/${key}`, init);
+  },
+  // telegra.ph has no deletion, the record is all there is to remove
+  remove: async () => 0,
+  transforms: () => true,
+};
+
+const r2 = {
+  async put(env, key, file) {
+    requireBinding(env, 'r2');
+    await env.R2_BUCKET.put(key, file, { httpMetadata: { contentType: file.type } });
+    return {};
+  },
+  async fetch(env, key, ref, init) {
+    requireBinding(env, 'r2');
+    // Images can only be transformed when fetched over HTTP, i.e. from the public bucket URL
+    if (init && init.cf && env.R2_PUBLIC_URL) {
+      return fetch(`${env.R2_PUBLIC_URL.replace(/\/+$/, '')}/${key}`, init);
+    }
+    const object = await env.R2_BUCKET.get(key);
+    if (!object) {
+      return new Response(null, { status: 404 });
+    }
+    return new Response(object.body, {
+      headers: {
+        'Content-Type': object.httpMetadata && object.httpMetadata.contentType || 'application/octet-stream',
+        'Content-Length': String(object.size),
+      },
+    });
+  },
+  async remove(env, key) {
+    requireBinding(env, 'r2');
+    await env.R2_BUCKET.delete(key);
+    return 1;
+  },
+  transforms: env => Boolean(env.R2_PUBLIC_URL),
+};
+
+const s3 = {
+  async put(env, key, file) {
+    requireBinding(env, 's3');
+    const response = await s3Request(env, 'PUT', key, { body: file, headers: { 'Content-Type': file.type || 'application/octet-stream' } });
+    if (!response.ok) {
+      throw new Error(`S3 upload failed: HTTP ${response.status}`);
+    }
+    return {};
+  },
+  async fetch(env, key, ref, init) {
+    requireBinding(env, 's3');
+    return fetch(await presignS3Url(env, 'GET', key, PRESIGN_TTL), init);
+  },
+  async remove(env, key) {
+    requireBinding(env, 's3');
+    const response = await s3Request(env, 'DELETE', key);
+    // Deleting a missing object succeeds with 204 on S3, some implementations answer 404
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 delete failed: HTTP ${response.status}`);
+    }
+    return 1;
+  },
+  transforms: () => true,
+};
+
+const BACKENDS = { telegram, telegraph, r2, s3 };
+// Backends new uploads can go to
+export const WRITABLE_BACKENDS = ['telegram', 'r2', 's3'];
+
+/**
+ * Backend of new uploads, STORAGE_BACKEND or telegram.
+ */
+export function getPrimaryBackend(env) {
+  const name = (env.STORAGE_BACKEND || 'telegram').trim().toLowerCase();
+  if (!WRITABLE_BACKENDS.includes(name)) {
+    throw new Error(`Unsupported STORAGE_BACKEND: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Backend of the second copy, STORAGE_MIRROR, or null.
+ */
+export function getMirrorBackend(env) {
+  const name = (env.STORAGE_MIRROR || '').trim().toLowerCase();
+  if (!name || name === 'none') return null;
+  if (!WRITABLE_BACKENDS.includes(name)) {
+    throw new Error(`Unsupported STORAGE_MIRROR: ${name}`);
+  }
+  return name === getPrimaryBackend(env) ? null : name;
+}
+
+/**
+ * Backend holding the primary copy of a file.
+ */
+export function getFileBackend(key, metadata) {
+  if (metadata && metadata.storage) return metadata.storage;
+  return key.length > 33 ? 'telegram' : 'telegraph';
+}
+
+/**
+ * Store a file on a non-Telegram primary backend under `key`.
+ * Telegram uploads go through uploadToTelegram since the key is the file id.
+ */
+export async function putFile(env, name, key, file) {
+  return getBackend(name).put(env, key, file);
+}
+
+/**
+ * Store the second copy on the mirror backend. Returns the `mirror` metadata
+ * field, or null when there is no mirror or the copy failed: the upload has
+ * succeeded already and is not failed over its mirror.
+ */
+export async function mirrorFile(env, key, file) {
+  const name = getMirrorBackend(env);
+  if (!name) return null;
+  try {
+    return { storage: name, ...await getBackend(name).put(env, key, file) };
+  } catch (error) {
+    console.error(`Mirroring ${key} to ${name} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Download a single (non-chunked) file from its primary backend, from the
+ * mirror when the primary answers with an error or cannot be reached.
+ * `init` is passed to fetch, e.g. { cf: { image } } for resized variants;
+ * callers check supportsTransform first.
+ */
+export async function fetchStoredFile(env, key, metadata, init) {
+  let response;
+  try {
+    const name = getFileBackend(key, metadata);
+    response = await getBackend(name).fetch(env, key, primaryRef(key, metadata), init);
+    if (response.ok) return response;
+  } catch (error) {
+    console.error(`Reading ${key} failed:`, error.message);
+    response = new Response('Failed to load file', { status: 502 });
+  }
+  const fallback = await fetchMirror(env, key, metadata, init);
+  return fallback && fallback.ok ? fallback : response;
+}
+
+/**
+ * Download the mirror copy of a file, or null when it has none.
+ */
+export async function fetchMirror(env, key, metadata, init) {
+  const mirror = metadata && metadata.mirror;
+  if (!mirror) return null;
+  try {
+    const response = await getBackend(mirror.storage).fetch(env, key, mirror, init);
+    if (response.ok) {
+      console.log(`Served ${key} from the ${mirror.storage} mirror`);
+    }
+    return response;
+  } catch (error) {
+    console.error(`Reading the mirror of ${key} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Whether resized variants can be fetched. With a mirror both backends must
+ * support it, the mirror may have to answer the same request.
+ */
+export function supportsTransform(env, key, metadata) {
+  const backends = [getFileBackend(key, metadata)];
+  if (metadata && metadata.mirror) backends.push(metadata.mirror.storage);
+  return backends.every(name => BACKENDS[name] && BACKENDS[name].transforms(env));
+}
+
+/**
+ * Delete every stored copy of a file (primary and mirror) given its KV record.
+ * Returns the number of messages or objects removed. Each copy is attempted,
+ * the first failure is thrown afterwards.
+ */
+export async function removeStoredFile(env, key, record) {
+  const metadata = record.metadata || {};
+  const copies = [{ name: getFileBackend(key, metadata), ref: primaryRef(key, metadata), record }];
+  if (metadata.mirror) {
+    copies.push({ name: metadata.mirror.storage, ref: metadata.mirror, record: null });
+  }
+
+  let removed = 0;
+  let failure = null;
+  for (const copy of copies) {
+    try {
+      removed += await getBackend(copy.name).remove(env, key, copy.ref, copy.record);
+    } catch (error) {
+      failure = failure || error;
+    }
+  }
+  if (failure) throw failure;
+  return removed;
+}
+
+/**
+ * Upload to a channel of the bot pool. Returns { fileId, messageId, botId, chatId },
+ * or { fileId, chunks, botId, chatId } with the ordered chunk manifest when
+ * the file is split. Every chunk goes through the same bot, it alone can read them back.
+ */
+export async function uploadToTelegram(env, uploadFile) {
+  const chunkSize = getChunkSize(env);
+  if (uploadFile.size <= chunkSize) {
+    return withUploadBot(env, bot => uploadSingleFile(uploadFile, bot));
+  }
+  // The chunk manifest lives in the KV record, without KV the file could not be put back together
+  if (!env.img_url) {
+    throw new Error('Chunked upload requires the img_url KV binding');
+  }
+  return withUploadBot(env, async bot => {
+    const chunks = await uploadChunks(uploadFile, chunkSize, bot);
+    return { fileId: chunks[0].fileId, chunks };
+  });
+}
+
+/**
+ * Run `upload(bot)` with the bots of the pool in turn until one succeeds.
+ * Rate limits, server and network errors move on to the next bot, other
+ * errors are thrown right away. Parts of a chunked file already sent by a
+ * failing bot stay in its channel.
+ */
+async function withUploadBot(env, upload) {
+  const { bots, health } = await getUploadBots(env);
+  if (!bots.length) {
+    throw new Error('No Telegram bot configured, set TG_Bot_Token and TG_Chat_ID or TG_BOTS');
+  }
+
+  let lastError;
+  for (const bot of bots) {
+    try {
+      const result = await upload(bot);
+      await reportSuccess(env, bot, health);
+      return { ...result, botId: bot.id, chatId: bot.chatId };
+    } catch (error) {
+      if (!(error instanceof TelegramError) || !isRetryable(error)) throw error;
+      console.error(`Bot ${bot.id} failed, trying the next one:`, error.message);
+      await reportFailure(env, bot, error, health);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+function getBackend(name) {
+  const backend = BACKENDS[name];
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  return backend;
+}
+
+/**
+ * Reference of the primary copy; Telegram keeps the file id in the key.
+ */
+function primaryRef(key, metadata) {
+  const { messageId, chatId, botId } = metadata || {};
+  return { fileId: key.split('.')[0], messageId, chatId, botId };
+}
+
+function requireBinding(env, name) {
+  if (name === 'r2' && !env.R2_BUCKET) {
+    throw new Error('The r2 backend requires the R2_BUCKET binding');
+  }
+  if (name === 's3' && !isS3Configured(env)) {
+    throw new Error('The s3 backend requires S3_ENDPOINT, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+}
+
+/**
+ * Upload the whole file as a single message and return { fileId, messageId }.
+ */
+async function uploadSingleFile(uploadFile, bot) {
+  const telegramFormData = new FormData();
+  telegramFormData.append("chat_id", bot.chatId);
+
+  // Pick the send method matching the file type
+  let apiEndpoint;
+  if (uploadFile.type.startsWith('image/')) {
+    telegramFormData.append("photo", uploadFile);
+    apiEndpoint = 'sendPhoto';
+  } else if (uploadFile.type.startsWith('audio/')) {
+    telegramFormData.append("audio", uploadFile);
+    apiEndpoint = 'sendAudio';
+  } else if (uploadFile.type.startsWith('video/')) {
+    telegramFormData.append("video", uploadFile);
+    apiEndpoint = 'sendVideo';
+  } else {
+    telegramFormData.append("document", uploadFile);
+    apiEndpoint = 'sendDocument';
+  }
+
+  const result = await sendToTelegram(telegramFormData, apiEndpoint, bot);
+  if (!result.success) {
+    throw new TelegramError(result.error, result.code, result.retryAfter);
+  }
+
+  const fileId = getFileId(result.data);
+  if (!fileId) {
+    throw new Error('Failed to get file ID');
+  }
+  return { fileId, messageId: result.data.result.message_id };
+}
+
+/**
+ * Split the file into chunks uploaded as separate documents.
+ * Returns the ordered chunk manifest [{ fileId, size, messageId }].
+ */
+async function uploadChunks(uploadFile, chunkSize, bot) {
+  const chunks = [];
+  for (let offset = 0; offset < uploadFile.size; offset += chunkSize) {
+    const index = chunks.length;
+    const part = uploadFile.slice(offset, offset + chunkSize);
+
+    const telegramFormData = new FormData();
+    telegramFormData.append("chat_id", bot.chatId);
+    telegramFormData.append("document", part, `${uploadFile.name}.part${index}`);
+
+    const result = await sendToTelegram(telegramFormData, 'sendDocument', bot);
+    if (!result.success) {
+      throw new TelegramError(`Failed to upload chunk ${index}: ${result.error}`, result.code, result.retryAfter);
+    }
+
+    const fileId = getFileId(result.data);
+    if (!fileId) {
+      throw new Error(`Failed to get file ID of chunk ${index}`);
+    }
+    chunks.push({ fileId, size: part.size, messageId: result.data.result.message_id });
+  }
+  return chunks;
+}
+
+/**
+ * Chunk size, CHUNK_SIZE (bytes) may lower it but not raise it above 20 MB.
+ */
+function getChunkSize(env) {
+  const size = parseInt(env.CHUNK_SIZE, 10);
+  return size > 0 && size <= MAX_CHUNK_SIZE ? size : MAX_CHUNK_SIZE;
+}
@@ -0,0 +1,181 @@
+// Calls to the Telegram Bot API. Every call goes through one bot of the pool
+// (see ./bots), files are read with the bot that stored them
+
+import { getBot } from './bots';
+import { getCachedText, putCachedText } from './cache';
+
+// Telegram keeps download links valid for at least an hour
+const FILE_PATH_TTL = 50 * 60;
+
+/**
+ * A failed Bot API call. `code` is Telegram's error_code (the HTTP status),
+ * missing for network errors; `retryAfter` is the wait asked by a 429, in seconds.
+ */
+export class TelegramError extends Error {
+  constructor(message, code, retryAfter) {
+    super(message);
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Resolve a file_id to its download path with getFile, or null when it
+ * cannot be resolved. `botId` is the bot that stored the file, the default
+ * bot when missing. Paths are cached so repeated reads skip the API call.
+ */
+export async function getFilePath(env, file_id, botId) {
+  const bot = getBot(env, botId);
+  if (!bot) {
+    console.error(`Bot ${botId} is not configured, cannot resolve ${file_id}`);
+    return null;
+  }
+  // Download paths embed the token, so they are cached per bot
+  const cached = await getCachedText('file-path', `${bot.id}/${file_id}`);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const url = `https://api.telegram.org/bot${bot.token}/getFile?file_id=${file_id}`;
+    const res = await fetch(url, {
+      method: 'GET',
+    });
+
+    if (!res.ok) {
+      console.error(`HTTP error! status: ${res.status}`);
+      return null;
+    }
+
+    const responseData = await res.json();
+    const { ok, result } = responseData;
+
+    if (ok && result) {
+      await putCachedText('file-path', `${bot.id}/${file_id}`, result.file_path, FILE_PATH_TTL);
+      return result.file_path;
+    } else {
+      console.error('Error in response data:', responseData);
+      return null;
+    }
+  } catch (error) {
+    console.error('Error fetching file path:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Download a file by its file_id, answering 404 when the path cannot be resolved.
+ */
+export async function fetchTelegramFile(env, file_id, init, botId) {
+  const filePath = await getFilePath(env, file_id, botId);
+  if (!filePath) {
+    return new Response(null, { status: 404 });
+  }
+  return fetch(`https://api.telegram.org/file/bot${getBot(env, botId).token}/${filePath}`, init);
+}
+
+/**
+ * file_id of the file carried by a send* result; for photos the largest size.
+ */
+export function getFileId(response) {
+  if (!response.ok || !response.result) return null;
+  const result = response.result;
+  if (result.photo) return result.photo.reduce((prev, current) => (prev.file_size > current.file_size) ? prev : current).file_id;
+  if (result.document) return result.document.file_id;
+  if (result.video) return result.video.file_id;
+  if (result.audio) return result.audio.file_id;
+  return null;
+}
+
+/**
+ * Upload with a send* method through `bot`. Network errors are retried, and
+ * a photo Telegram refuses (too large, odd dimensions, ...) is sent again as
+ * a document. Rate limits and server errors are left to the caller, which
+ * can try another bot. Returns { success: true, data } or
+ * { success: false, error, code, retryAfter }.
+ */
+export async function sendToTelegram(formData, apiEndpoint, bot, retryCount = 0) {
+  const MAX_RETRIES = 2;
+  const apiUrl = `https://api.telegram.org/bot${bot.token}/${apiEndpoint}`;
+
+  try {
+    const response = await fetch(apiUrl, { method: "POST", body: formData });
+    const responseData = await response.json();
+
+    if (response.ok) {
+      return { success: true, data: responseData };
+    }
+
+    const code = responseData.error_code || response.status;
+    const busy = code === 429 || code >= 500;
+    if (retryCount < MAX_RETRIES && apiEndpoint === 'sendPhoto' && !busy) {
+      console.log('Retrying image as document...');
+      const newFormData = new FormData();
+      newFormData.append('chat_id', formData.get('chat_id'));
+      newFormData.append('document', formData.get('photo'));
+      return await sendToTelegram(newFormData, 'sendDocument', bot, retryCount + 1);
+    }
+
+    return {
+      success: false,
+      error: responseData.description || 'Upload to Telegram failed',
+      code,
+      retryAfter: responseData.parameters && responseData.parameters.retry_after,
+    };
+  } catch (error) {
+    console.error('Network error:', error);
+    if (retryCount < MAX_RETRIES) {
+      await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
+      return await sendToTelegram(formData, apiEndpoint, bot, retryCount + 1);
+    }
+    return { success: false, error: 'Network error occurred' };
+  }
+}
+
+/**
+ * Call a Bot API method with JSON parameters and return its `result`, through
+ * the bot `botId` or the default one. Throws a TelegramError with Telegram's
+ * description when the call fails.
+ */
+export async function callTelegram(env, method, params, botId) {
+  const bot = getBot(env, botId);
+  if (!bot) {
+    throw new TelegramError(`${method} failed: bot ${botId} is not configured`);
+  }
+  const response = await fetch(`https://api.telegram.org/bot${bot.token}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params),
+  });
+  const data = await response.json();
+  if (!data.ok) {
+    throw new TelegramError(`${method} failed: ${data.description}`, data.error_code, data.parameters && data.parameters.retry_after);
+  }
+  return data.result;
+}
+
+/**
+ * Delete the channel messages holding a stored file (every part of a chunked
+ * file). Records written before message ids were kept have nothing to delete.
+ * Returns the number of messages deleted; messages that are already gone count
+ * as deleted, other failures throw.
+ */
+export async function deleteFileMessages(env, record) {
+  const metadata = record.metadata || {};
+  const chatId = metadata.chatId || env.TG_Chat_ID;
+  // Only the bot that posted the messages can delete them
+  const messageIds = metadata.chunked
+    ? JSON.parse(record.value).chunks.map(chunk => chunk.messageId)
+    : [metadata.messageId];
+
+  let deleted = 0;
+  for (const messageId of messageIds.filter(Boolean)) {
+    try {
+      await callTelegram(env, 'deleteMessage', { chat_id: chatId, message_id: messageId }, metadata.botId);
+    } catch (error) {
+      if (!/message to delete not found/i.test(error.message)) throw error;
+    }
+    deleted++;
+  }
+  return deleted;
+}
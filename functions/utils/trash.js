@@ -0,0 +1,114 @@
+// Deleting files. A deleted file first goes to the trash: its record moves to
+// "deleted:<key>" with a deletedAt timestamp, so it can be restored as it was.
+// Purging removes the stored copies (Telegram messages, bucket objects) and
+// leaves a tombstone under the same key. Both answer 410 on /file/, which
+// would otherwise re-create the record of a file it does not know. Tombstones
+// are kept for good: Telegram may serve a file for a while after its message is gone
+
+import { listAllKeys } from './kv';
+import { deleteFileStats } from './stats';
+import { removeStoredFile } from './storage';
+
+const DELETED_PREFIX = 'deleted:';
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+// Files purged per request: each one costs a subrequest per Telegram message
+// or bucket object, a larger batch would exceed the subrequest limit
+export const MAX_PURGE_BATCH = 40;
+
+/**
+ * Trash or tombstone record of a deleted file, or null.
+ */
+export async function getDeletedFile(env, key) {
+  const record = await env.img_url.getWithMetadata(DELETED_PREFIX + key);
+  return record.metadata ? record : null;
+}
+
+/**
+ * Move the file record (as read by the caller) to the trash.
+ */
+export async function trashFile(env, key, record) {
+  const metadata = { ...record.metadata, deletedAt: Date.now() };
+  await env.img_url.put(DELETED_PREFIX + key, record.value || "", { metadata });
+  await env.img_url.delete(key);
+  return metadata;
+}
+
+/**
+ * Put a trashed file back. Returns its metadata, or null when it is not in
+ * the trash (never deleted, or already purged).
+ */
+export async function restoreFile(env, key) {
+  const record = await getDeletedFile(env, key);
+  if (!record || record.metadata.purgedAt) return null;
+  const { deletedAt, ...metadata } = record.metadata;
+  await env.img_url.put(key, record.value || "", { metadata });
+  await env.img_url.delete(DELETED_PREFIX + key);
+  return metadata;
+}
+
+/**
+ * Delete the stored copies of a trashed file and replace it with a
+ * tombstone. Returns { messages } with the number of deleted messages or
+ * objects, or null when the file is not in the trash. The tombstone is written
+ * even when the backend refuses (e.g. the bot lacks the permission), `error` tells why.
+ */
+export async function purgeFile(env, key) {
+  const record = await getDeletedFile(env, key);
+  if (!record || record.metadata.purgedAt) return null;
+  return purgeRecord(env, key, record);
+}
+
+/**
+ * Purge a live file right away, e.g. an expired link.
+ */
+export async function purgeLiveFile(env, key, record) {
+  return purgeRecord(env, key, { ...record, metadata: { ...record.metadata, deletedAt: Date.now() } });
+}
+
+/**
+ * Files in the trash: [{ name, metadata }], most recently deleted first.
+ */
+export async function listTrash(env) {
+  const keys = await listAllKeys(env, { prefix: DELETED_PREFIX });
+  return keys
+    .filter(key => key.metadata && !key.metadata.purgedAt)
+    .map(key => ({ name: key.name.substring(DELETED_PREFIX.length), metadata: key.metadata }))
+    .sort((a, b) => b.metadata.deletedAt - a.metadata.deletedAt);
+}
+
+/**
+ * Purge up to `limit` trashed files, only those deleted more than
+ * TRASH_RETENTION_DAYS (default 30) days ago unless `all` is set.
+ * TRASH_RETENTION_DAYS=0 keeps the trash until it is emptied by hand.
+ * Returns { purged: [{ name, messages, error? }], remaining }.
+ */
+export async function purgeTrash(env, limit, { all = false, now = Date.now() } = {}) {
+  const days = env.TRASH_RETENTION_DAYS !== undefined ? parseInt(env.TRASH_RETENTION_DAYS, 10) : DEFAULT_RETENTION_DAYS;
+  if (!all && !(days > 0)) {
+    return { purged: [], remaining: 0 };
+  }
+
+  const due = (await listTrash(env)).filter(file => all || file.metadata.deletedAt <= now - days * DAY);
+  const purged = [];
+  for (const file of due.slice(0, limit)) {
+    const result = await purgeFile(env, file.name);
+    if (result) purged.push({ name: file.name, ...result });
+  }
+  return { purged, remaining: Math.max(due.length - limit, 0) };
+}
+
+async function purgeRecord(env, key, record) {
+  const result = { messages: 0 };
+  try {
+    result.messages = await removeStoredFile(env, key, record);
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  const { fileName, deletedAt } = record.metadata;
+  await env.img_url.put(DELETED_PREFIX + key, "", { metadata: { fileName, deletedAt, purgedAt: Date.now() } });
+  await env.img_url.delete(key);
+  await deleteFileStats(env, key);
+  return result;
+}
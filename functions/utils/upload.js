@@ -0,0 +1,216 @@
+// Storing an uploaded file: upload to the storage backend, KV record and notification.
+// Shared by POST /upload and the Telegram bot webhook so both behave the same
+
+import { getBot } from './bots';
+import { findDuplicate, hashFile, rememberHash } from './dedup';
+import { fileKeyboard } from './keyboard';
+import { getProvider, moderateFile } from './moderation';
+import { trackUpload } from './stats';
+import { getPrimaryBackend, mirrorFile, putFile, uploadToTelegram } from './storage';
+
+/**
+ * Store `uploadFile` (a File) and return { src, key, duplicate }, where src is
+ * the /file/ path to hand out. When a file with the same content exists its
+ * link is returned with `duplicate: true` and nothing is stored again.
+ * `options.expiresAt` (ms timestamp) and `options.maxViews` make the link stop
+ * working after that time or that many views, `options.private` requires a
+ * signed link. Such files are never deduplicated since a shared permanent link
+ * must not turn into an expiring or private one, and the other way round.
+ */
+export async function storeFile(env, origin, uploadFile, options = {}) {
+  const fileName = uploadFile.name;
+  const fileExtension = fileName.split('.').pop().toLowerCase();
+  const { expiresAt, maxViews } = options;
+  const restricted = Boolean(expiresAt || maxViews || options.private);
+
+  let hash = null;
+  if (env.img_url && env.DISABLE_DEDUP !== 'true' && !restricted) {
+    hash = await hashFile(uploadFile);
+    const duplicate = await findDuplicate(env, hash);
+    if (duplicate) {
+      await trackUpload(env, { duplicate: true });
+      return { src: `/file/${duplicate.key}`, key: duplicate.key, duplicate: true };
+    }
+  }
+
+  const storage = getPrimaryBackend(env);
+  let fileId;
+  let messageId;
+  let botId;
+  let chatId;
+  let chunks = null;
+  if (storage === 'telegram') {
+    ({ fileId, messageId, botId, chatId, chunks = null } = await uploadToTelegram(env, uploadFile));
+  } else {
+    // Only the metadata tells these files apart from Telegram ones
+    if (!env.img_url) {
+      throw new Error(`The ${storage} backend requires the img_url KV binding`);
+    }
+    fileId = crypto.randomUUID().replace(/-/g, '');
+  }
+
+  const key = `${fileId}.${fileExtension}`;
+  const fileUrl = `/file/${key}`;
+  if (storage !== 'telegram') {
+    await putFile(env, storage, key, uploadFile);
+  }
+  const mirror = env.img_url ? await mirrorFile(env, key, uploadFile) : null;
+
+  let metadata = null;
+  if (env.img_url) {
+    metadata = {
+      TimeStamp: Date.now(),
+      ListType: "None",
+      Label: "None",
+      liked: false,
+      fileName: fileName,
+      fileSize: uploadFile.size,
+      fileType: uploadFile.type,
+      uploadedAt: new Date().toISOString(),
+      storage,
+    };
+    if (storage === 'telegram') {
+      // Lets the message be deleted from the channel along with the file,
+      // and the file be read back with the bot that can resolve its file_id
+      metadata.chatId = chatId;
+      metadata.botId = botId;
+    }
+    if (messageId) {
+      metadata.messageId = messageId;
+    }
+    if (mirror) {
+      metadata.mirror = mirror;
+    }
+    if (expiresAt) {
+      metadata.expiresAt = expiresAt;
+    }
+    if (maxViews) {
+      metadata.maxViews = maxViews;
+      metadata.views = 0;
+    }
+    if (options.private) {
+      metadata.private = true;
+    }
+    // A chunk manifest may exceed the 1024 byte metadata limit, so it is kept in the value
+    let value = "";
+    if (chunks) {
+      metadata.chunked = true;
+      metadata.chunkCount = chunks.length;
+      value = JSON.stringify({ chunks });
+    }
+    if (hash) {
+      metadata.sha256 = hash;
+    }
+    // Moderate before the link is handed out. Chunked files can only be read
+    // through their KV record, so they are moderated on their first view instead
+    if (!chunks) {
+      // The moderation service downloads the file through its link, which
+      // needs the record to locate files stored outside Telegram
+      if (storage !== 'telegram' && getProvider(env)) {
+        await env.img_url.put(key, value, { metadata });
+      }
+      Object.assign(metadata, await moderateFile(env, origin, key, metadata));
+    } else if (getProvider(env)) {
+      // No Label marks the file as not moderated yet, see functions/file/[id].js
+      delete metadata.Label;
+    }
+    await env.img_url.put(key, value, { metadata });
+    if (hash) {
+      await rememberHash(env, hash, key);
+    }
+  }
+
+  await trackUpload(env, { fileType: uploadFile.type, fileSize: uploadFile.size });
+
+  await sendFileNotification(env, {
+    fileName,
+    fileSize: uploadFile.size,
+    fileUrl: `${origin}${fileUrl}`,
+    fileType: uploadFile.type,
+    fileId: fileId,
+    metadata
+  });
+
+  return { src: fileUrl, key, duplicate: false };
+}
+
+/**
+ * Post the link of a new file to NOTIFICATION_CHAT_ID (or TG_Chat_ID).
+ * With KV and the bot webhook configured the message carries management
+ * buttons, handled by /api/telegram/webhook.
+ */
+async function sendFileNotification(env, fileInfo) {
+  const { fileName, fileSize, fileUrl, fileType, fileId, metadata } = fileInfo;
+
+  if (env.DISABLE_NOTIFICATION === 'true') {
+    return;
+  }
+
+  const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  };
+
+  const getFileIcon = (type) => {
+    if (type.startsWith('image/')) return '🖼️';
+    if (type.startsWith('video/')) return '🎬';
+    if (type.startsWith('audio/')) return '🎵';
+    if (type.includes('pdf')) return '📄';
+    if (type.includes('zip') || type.includes('rar') || type.includes('7z')) return '📦';
+    return '📎';
+  };
+
+  const message = `
+🎉 **文件上传成功！**
+
+${getFileIcon(fileType)} **文件名：** \`${fileName}\`
+📏 **大小：** ${formatFileSize(fileSize)}
+🆔 **文件ID：** \`${fileId}\`
+🔗 **访问链接：** [点击访问](${fileUrl})
+
+\`\`\`
+${fileUrl}
+\`\`\`
+
+_通过 Telegraph-Image 上传_
+  `.trim();
+
+  // Notifications always come from the default bot, the one answering the buttons
+  const bot = getBot(env);
+  if (!bot) {
+    return;
+  }
+  const notificationChatId = env.NOTIFICATION_CHAT_ID || bot.chatId;
+  const apiUrl = `https://api.telegram.org/bot${bot.token}/sendMessage`;
+
+  try {
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: notificationChatId,
+        text: message,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: false,
+        reply_markup: metadata && env.TG_WEBHOOK_SECRET ? fileKeyboard(fileUrl, metadata) : {
+          inline_keyboard: [
+            [
+              { text: '🔗 直接访问', url: fileUrl }
+            ]
+          ]
+        }
+      })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Failed to send notification:', result);
+    } else {
+      console.log('File notification sent successfully');
+    }
+  } catch (error) {
+    console.error('Error sending file notification:', error);
+  }
+}